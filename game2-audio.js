@@ -0,0 +1,401 @@
+
+    /* Neon Bricks audio: sound effects and chiptune music on separate buses (each with its
+       own volume, plus a master mute), kept in localStorage. Music is scheduled on the
+       AudioContext clock a little ahead of time, so it does not drift with timer jitter, and
+       follows the game: a track per level group, faster when few bricks remain, muffled and
+       stopped on pause, with stingers for a cleared level and the end of a run. The
+       AudioContext is injected (null plays nothing) and the simulation is never touched. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory(require('./game2-engine.js'));
+      else root.NeonAudio = factory(root.NeonEngine);
+    })(typeof self !== 'undefined' ? self : this, function (engine) {
+      'use strict';
+
+      const { STATE, clamp } = engine;
+
+      const AUDIO_KEY = 'neon-bricks.audio';
+      const AUDIO_VERSION = 1;
+      const DEFAULT_AUDIO = { music: 0.5, sfx: 0.5, muted: false };
+      const BUS_GAIN = 0.24; // bus gain at full volume; the default half is the old fixed 0.12
+
+      const LOOKAHEAD = 0.12; // seconds of music scheduled ahead of the audio clock
+      const SCHEDULE_EVERY = 0.025; // seconds between scheduler wake-ups
+      const START_DELAY = 0.05; // seconds from play() to the first step
+      const LEVELS_PER_TRACK = 3; // levels sharing a track before the next one comes in
+      const FEW_BRICKS = 5; // bricks left (or a quarter of a boss) that speed the music up
+      const RUSH_TEMPO = 1.25;
+      const PAUSE_SWEEP = 0.6; // seconds the low-pass takes to close on pause (and reopen)
+      const FILTER_OPEN = 18000; // Hz
+      const FILTER_CLOSED = 300;
+
+      /* -------------------------
+         Tracks
+         ------------------------- */
+      // Patterns are space-separated sixteenth-note steps: a note ('A4', 'F#2') or '.' for a
+      // rest; drum steps are k(ick), s(nare), h(at) or '.'. Each part loops on its own length.
+      const TRACKS = {
+        neonDrive: {
+          name: 'Neon Drive', bpm: 132,
+          lead: 'A4 . C5 E5 . A5 . E5 G4 . B4 D5 . G5 . D5 F4 . A4 C5 . F5 . C5 E4 . G#4 B4 . E5 . B4',
+          bass: 'A2 . A2 . A2 . A2 . G2 . G2 . G2 . G2 . F2 . F2 . F2 . F2 . E2 . E2 . E2 . E2 .',
+          drums: 'k . h . s . h . k k h . s . h h'
+        },
+        gridRunner: {
+          name: 'Grid Runner', bpm: 140,
+          lead: 'E5 . B4 . G4 B4 E5 . D5 . A4 . F#4 A4 D5 . C5 . G4 . E4 G4 C5 . B4 . F#4 . D#4 F#4 B4 .',
+          bass: 'E2 E2 . E2 . E2 E3 . D2 D2 . D2 . D2 D3 . C2 C2 . C2 . C2 C3 . B1 B1 . B1 . B1 B2 .',
+          drums: 'k . h k s . h . k . h k s . h h'
+        },
+        overclock: {
+          name: 'Overclock', bpm: 150,
+          lead: 'D5 F5 A5 F5 D5 F5 A5 F5 C5 E5 G5 E5 C5 E5 G5 E5 A#4 D5 F5 D5 A#4 D5 F5 D5 A4 C#5 E5 C#5 A4 C#5 E5 C#5',
+          bass: 'D2 . D3 . D2 . D3 . C2 . C3 . C2 . C3 . A#1 . A#2 . A#1 . A#2 . A1 . A2 . A1 . A2 .',
+          drums: 'k h s h k h s h k h s h k k s h'
+        },
+        coreBreach: {
+          name: 'Core Breach', bpm: 156,
+          lead: 'C5 . C5 D#5 . C5 G5 . F#5 . F5 . D#5 . D5 .',
+          bass: 'C2 C2 C3 C2 C2 C3 C2 C2 C2 C2 C3 C2 G1 G1 G2 G1',
+          drums: 'k . s k k . s . k . s k k s s s'
+        }
+      };
+      const LEVEL_TRACKS = ['neonDrive', 'gridRunner', 'overclock']; // by level group, in turn
+      const BOSS_TRACK = 'coreBreach';
+
+      // short phrases played over the music: [note, beats] at `bpm`
+      const STINGERS = {
+        levelClear: { bpm: 200, notes: [['C5', 0.5], ['E5', 0.5], ['G5', 0.5], ['C6', 1.5]] },
+        victory: { bpm: 180, notes: [['G5', 0.5], ['C6', 0.5], ['E6', 0.5], ['G6', 0.5], ['C7', 2]] },
+        gameOver: { bpm: 110, notes: [['G4', 1], ['D#4', 1], ['D4', 1], ['C4', 2.5]] }
+      };
+
+      const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+      const PENTATONIC = [0, 2, 4, 7, 9, 12]; // semitones a break rises by combo multiplier
+
+      // 'A4' -> 440 (Hz); null for a rest
+      function noteFrequency(name) {
+        const m = /^([A-G])(#?)(\d)$/.exec(name);
+        if (!m) return null;
+        const midi = 12 * (Number(m[3]) + 1) + NOTE_OFFSETS[m[1]] + (m[2] ? 1 : 0);
+        return 440 * Math.pow(2, (midi - 69) / 12);
+      }
+
+      function parsePattern(pattern) {
+        return pattern.split(/\s+/);
+      }
+
+      // compiled once: lead and bass as frequencies (null rests), drums as letters
+      const COMPILED = {};
+      for (const [id, t] of Object.entries(TRACKS)) {
+        COMPILED[id] = {
+          id, name: t.name, bpm: t.bpm,
+          lead: parsePattern(t.lead).map(noteFrequency),
+          bass: parsePattern(t.bass).map(noteFrequency),
+          drums: parsePattern(t.drums).map(s => (s === '.' ? null : s))
+        };
+      }
+
+      // the track for the level on screen: a boss has its own, other levels go through
+      // LEVEL_TRACKS a group at a time
+      function trackFor(game) {
+        if (game.boss) return BOSS_TRACK;
+        const group = Math.floor((game.currentLevel - 1) / LEVELS_PER_TRACK);
+        return LEVEL_TRACKS[group % LEVEL_TRACKS.length];
+      }
+
+      // true when the level is nearly done: its last few bricks, or a boss down to a quarter
+      function isRush(game) {
+        if (game.boss) return game.boss.hp <= game.boss.maxHp / 4;
+        return game.bricksRemaining > 0 && game.bricksRemaining <= FEW_BRICKS;
+      }
+
+      // pitch of a brick hit: a destroyed brick rings highest, each hp left drops it three
+      // semitones, and each combo multiplier step raises it along a pentatonic scale
+      function brickPitch(base, hp, multiplier) {
+        const step = PENTATONIC[clamp(multiplier - 1, 0, PENTATONIC.length - 1)];
+        return base * Math.pow(2, (step - 3 * Math.min(hp, 4)) / 12);
+      }
+
+      /* -------------------------
+         Settings
+         ------------------------- */
+      // storage: a localStorage-like object or null. A missing or corrupt entry falls back to
+      // the defaults; writes that fail keep the settings for the session.
+      class AudioSettings {
+        constructor(storage) {
+          this.storage = storage;
+          this.settings = this._load(); // { music, sfx, muted }, volumes 0..1
+        }
+
+        _load() {
+          const settings = Object.assign({}, DEFAULT_AUDIO);
+          try {
+            const raw = this.storage && this.storage.getItem(AUDIO_KEY);
+            const data = raw && JSON.parse(raw);
+            if (!data || data.version !== AUDIO_VERSION) return settings;
+            if (typeof data.music === 'number') settings.music = clamp(data.music, 0, 1);
+            if (typeof data.sfx === 'number') settings.sfx = clamp(data.sfx, 0, 1);
+            if (typeof data.muted === 'boolean') settings.muted = data.muted;
+          } catch (e) {
+            // keep the defaults
+          }
+          return settings;
+        }
+
+        save() {
+          try {
+            if (this.storage) this.storage.setItem(AUDIO_KEY, JSON.stringify(Object.assign({ version: AUDIO_VERSION }, this.settings)));
+          } catch (e) {
+            // keep the in-memory settings
+          }
+        }
+      }
+
+      /* -------------------------
+         Voices
+         ------------------------- */
+      // one enveloped oscillator note into `out`, starting at audio time t
+      function tone(ctx, out, freq, type, t, duration, gain) {
+        const o = ctx.createOscillator();
+        o.type = type;
+        o.frequency.setValueAtTime(freq, t);
+        const g = ctx.createGain();
+        g.gain.setValueAtTime(gain, t);
+        g.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+        o.connect(g);
+        g.connect(out);
+        o.start(t);
+        o.stop(t + duration + 0.02);
+        return o;
+      }
+
+      // a burst of the shared noise buffer through a high-pass filter: hats and snares
+      function noise(ctx, out, buffer, t, duration, gain, cutoff) {
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(cutoff, t);
+        const g = ctx.createGain();
+        g.gain.setValueAtTime(gain, t);
+        g.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+        src.connect(filter);
+        filter.connect(g);
+        g.connect(out);
+        src.start(t);
+        src.stop(t + duration + 0.02);
+      }
+
+      function kick(ctx, out, t) {
+        const o = tone(ctx, out, 150, 'sine', t, 0.14, 0.12);
+        o.frequency.exponentialRampToValueAtTime(40, t + 0.12);
+      }
+
+      /* -------------------------
+         Sequencer: schedules a track's steps ahead of the audio clock
+         ------------------------- */
+      // A timer wakes the scheduler every SCHEDULE_EVERY seconds; each wake-up books every
+      // step that starts within LOOKAHEAD at its exact audio time, so timer jitter never
+      // reaches the beat.
+      class Sequencer {
+        constructor(ctx, out, noiseBuffer) {
+          this.ctx = ctx;
+          this.out = out;
+          this.noiseBuffer = noiseBuffer;
+          this.track = null; // compiled track playing (or stopped mid-way), see COMPILED
+          this.tempo = 1; // multiplier on the track's bpm
+          this.step = 0;
+          this.nextTime = 0; // audio time of the next step
+          this.stopAt = Infinity; // audio time past which nothing more is booked
+          this.timer = null;
+        }
+
+        get playing() { return this.timer !== null; }
+
+        // seconds per sixteenth at the current tempo
+        get stepLength() { return 60 / (this.track.bpm * this.tempo) / 4; }
+
+        play(id) {
+          this.track = COMPILED[id];
+          this.step = 0;
+          this.nextTime = this.ctx.currentTime + START_DELAY;
+          this._run();
+        }
+
+        // carry on from the step where stop() left off
+        resume() {
+          if (!this.track) return;
+          this.nextTime = Math.max(this.nextTime, this.ctx.currentTime + START_DELAY);
+          this._run();
+        }
+
+        // stop booking steps from audio time `when` (now by default)
+        stop(when = this.ctx.currentTime) {
+          this.stopAt = when;
+          this._schedule();
+        }
+
+        _run() {
+          this.stopAt = Infinity;
+          if (!this.timer) this.timer = setInterval(() => this._schedule(), SCHEDULE_EVERY * 1000);
+          this._schedule();
+        }
+
+        _schedule() {
+          if (!this.track) return;
+          const horizon = Math.min(this.ctx.currentTime + LOOKAHEAD, this.stopAt);
+          while (this.nextTime < horizon) {
+            this._playStep(this.step, this.nextTime);
+            this.nextTime += this.stepLength;
+            this.step++;
+          }
+          if (this.nextTime >= this.stopAt && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+          }
+        }
+
+        _playStep(step, t) {
+          const { ctx, out, track } = this;
+          const length = this.stepLength;
+          const lead = track.lead[step % track.lead.length];
+          const bass = track.bass[step % track.bass.length];
+          const drum = track.drums[step % track.drums.length];
+          if (lead) tone(ctx, out, lead, 'square', t, length * 0.9, 0.03);
+          if (bass) tone(ctx, out, bass, 'triangle', t, length * 1.8, 0.06);
+          if (drum === 'k') kick(ctx, out, t);
+          else if (drum === 's') noise(ctx, out, this.noiseBuffer, t, 0.12, 0.05, 1500);
+          else if (drum === 'h') noise(ctx, out, this.noiseBuffer, t, 0.04, 0.02, 7000);
+        }
+      }
+
+      /* -------------------------
+         Audio engine: the game's sound adapter and its music
+         ------------------------- */
+      // ctx: an AudioContext or null (silent); settings: AudioSettings. Sound effects go
+      // through the sfx bus, music through the music bus and its low-pass filter; both end
+      // in the master gain, which the mute closes.
+      class AudioEngine {
+        constructor(ctx, settings) {
+          this.ctx = ctx;
+          this.settings = settings;
+          this.game = null; // game whose state the music follows, see update()
+          this.lastState = null;
+          if (!ctx) return;
+          this.master = ctx.createGain();
+          this.master.connect(ctx.destination);
+          this.musicFilter = ctx.createBiquadFilter();
+          this.musicFilter.type = 'lowpass';
+          this.musicFilter.frequency.value = FILTER_OPEN;
+          this.musicFilter.connect(this.master);
+          this.musicBus = ctx.createGain();
+          this.musicBus.connect(this.musicFilter);
+          this.sfxBus = ctx.createGain();
+          this.sfxBus.connect(this.master);
+          const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.2), ctx.sampleRate);
+          const data = buffer.getChannelData(0);
+          for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+          this.sequencer = new Sequencer(ctx, this.musicBus, buffer);
+          this._applySettings();
+        }
+
+        _applySettings() {
+          if (!this.ctx) return;
+          const { music, sfx, muted } = this.settings.settings;
+          const t = this.ctx.currentTime;
+          // short glides so slider drags do not click
+          this.master.gain.setTargetAtTime(muted ? 0 : 1, t, 0.02);
+          this.musicBus.gain.setTargetAtTime(music * BUS_GAIN, t, 0.02);
+          this.sfxBus.gain.setTargetAtTime(sfx * BUS_GAIN, t, 0.02);
+        }
+
+        // bus: 'music' or 'sfx'; value 0..1
+        setVolume(bus, value) {
+          this.settings.settings[bus] = clamp(value, 0, 1);
+          this.settings.save();
+          this._applySettings();
+        }
+
+        setMuted(muted) {
+          this.settings.settings.muted = muted;
+          this.settings.save();
+          this._applySettings();
+        }
+
+        _sfx(freq, type, duration, gain) {
+          if (this.ctx) tone(this.ctx, this.sfxBus, freq, type, this.ctx.currentTime, duration, gain);
+        }
+
+        hit() { this._sfx(860, 'sawtooth', 0.06, 0.08); }
+        break(hp = 0, multiplier = 1) { this._sfx(brickPitch(420, hp, multiplier), 'triangle', 0.12, 0.12); }
+        power() { this._sfx(1200, 'square', 0.12, 0.12); }
+        laser() { this._sfx(1600, 'square', 0.05, 0.06); }
+
+        _stinger(id) {
+          const { bpm, notes } = STINGERS[id];
+          const beat = 60 / bpm;
+          let t = this.ctx.currentTime + START_DELAY;
+          for (const [note, beats] of notes) {
+            tone(this.ctx, this.musicBus, noteFrequency(note), 'square', t, beats * beat * 0.95, 0.06);
+            t += beats * beat;
+          }
+        }
+
+        _sweep(to) {
+          const f = this.musicFilter.frequency;
+          const t = this.ctx.currentTime;
+          f.cancelScheduledValues(t);
+          f.setValueAtTime(f.value, t);
+          f.exponentialRampToValueAtTime(to, t + PAUSE_SWEEP);
+        }
+
+        // once per displayed frame with the game on screen (null for none): starts, changes,
+        // speeds up and stops the music to follow it
+        update(game) {
+          if (!this.ctx) return;
+          if (game !== this.game) {
+            // another game on screen (a replay, or back from one): no stinger for its state
+            this.game = game;
+            this.lastState = game ? game.state : null;
+            this.sequencer.stop();
+            this.musicFilter.frequency.value = FILTER_OPEN;
+          }
+          const state = game ? game.state : null;
+          if (state !== this.lastState) {
+            this._stateChanged(state, this.lastState);
+            this.lastState = state;
+          }
+          if (state === STATE.READY || state === STATE.PLAYING) {
+            const track = trackFor(game);
+            if (!this.sequencer.playing || this.sequencer.track.id !== track) this.sequencer.play(track);
+            this.sequencer.tempo = state === STATE.PLAYING && isRush(game) ? RUSH_TEMPO : 1;
+          }
+        }
+
+        _stateChanged(state, prev) {
+          if (state === STATE.PAUSED) {
+            // muffle, then stop once the filter has closed
+            this._sweep(FILTER_CLOSED);
+            this.sequencer.stop(this.ctx.currentTime + PAUSE_SWEEP);
+            return;
+          }
+          if (prev === STATE.PAUSED && (state === STATE.READY || state === STATE.PLAYING)) {
+            this._sweep(FILTER_OPEN);
+            this.sequencer.resume();
+            return;
+          }
+          if (prev === STATE.PAUSED) this._sweep(FILTER_OPEN);
+          if (state !== STATE.READY && state !== STATE.PLAYING) this.sequencer.stop();
+          if (prev !== STATE.PLAYING) return;
+          if (state === STATE.LEVEL_COMPLETE) this._stinger('levelClear');
+          else if (state === STATE.VICTORY) this._stinger('victory');
+          else if (state === STATE.GAME_OVER) this._stinger('gameOver');
+        }
+      }
+
+      return {
+        AUDIO_KEY, DEFAULT_AUDIO, TRACKS, LEVEL_TRACKS, BOSS_TRACK, STINGERS,
+        AudioSettings, AudioEngine, Sequencer, noteFrequency, trackFor, brickPitch
+      };
+    });
@@ -0,0 +1,215 @@
+
+    /* Neon Bricks control bindings: which keyboard keys and gamepad buttons drive each action,
+       kept in localStorage with the analog-stick shaping (deadzone, sensitivity) and the mouse
+       mode, shared by the live input and the controls screen. There is one set per profile:
+       one player, and each side of a co-op game. Storage is injected so bindings also work
+       headless. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory(require('./game2-engine.js'));
+      else root.NeonControls = factory(root.NeonEngine);
+    })(typeof self !== 'undefined' ? self : this, function (engine) {
+      'use strict';
+
+      const { clamp } = engine;
+
+      const CONTROLS_KEY = 'neon-bricks.controls';
+      const CONTROLS_VERSION = 1;
+      const KEY_SLOTS = 2; // keys per action
+      const AXIS_STEP = 0.01; // stick values are quantized so replays record short runs
+
+      // action -> label, in the order the controls screen lists them
+      const ACTIONS = {
+        left: 'Move left',
+        right: 'Move right',
+        launch: 'Launch',
+        pause: 'Pause',
+        reset: 'New run'
+      };
+
+      // how a mouse steers the paddle: while a button is held, by following the cursor, or by
+      // relative movement with the pointer locked to the canvas
+      const POINTER_MODES = ['drag', 'follow', 'lock'];
+
+      // buttons use the standard gamepad mapping: 0 A, 8 Back, 9 Start, 14/15 d-pad left/right
+      const DEFAULT_CONTROLS = {
+        keys: {
+          left: ['ArrowLeft', 'KeyA'], right: ['ArrowRight', 'KeyD'], launch: ['Space', null],
+          pause: ['KeyP', 'Escape'], reset: ['KeyR', null]
+        },
+        buttons: { left: 14, right: 15, launch: 0, pause: 9, reset: 8 },
+        stick: 0, // axis that steers the paddle (left stick, horizontal)
+        deadzone: 0.2,
+        sensitivity: 1,
+        pointer: 'drag', // see POINTER_MODES
+        pointerSensitivity: 1
+      };
+
+      // profile -> defaults. Co-op puts the left player on WASD and the right one on the arrows;
+      // each reads a gamepad of their own.
+      const PROFILE_DEFAULTS = {
+        solo: DEFAULT_CONTROLS,
+        coop1: Object.assign({}, DEFAULT_CONTROLS, {
+          keys: {
+            left: ['KeyA', null], right: ['KeyD', null], launch: ['KeyW', 'Space'],
+            pause: ['KeyP', 'Escape'], reset: ['KeyR', null]
+          }
+        }),
+        coop2: Object.assign({}, DEFAULT_CONTROLS, {
+          keys: {
+            left: ['ArrowLeft', null], right: ['ArrowRight', null], launch: ['ArrowUp', null],
+            pause: [null, null], reset: [null, null]
+          }
+        })
+      };
+      const PROFILES = Object.keys(PROFILE_DEFAULTS);
+
+      const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+        'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+      const KEY_NAMES = {
+        ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'Space', Enter: 'Enter', Escape: 'Esc'
+      };
+
+      function copyControls(c) {
+        const keys = {}, buttons = {};
+        for (const action of Object.keys(ACTIONS)) {
+          keys[action] = c.keys[action].slice();
+          buttons[action] = c.buttons[action];
+        }
+        return {
+          keys, buttons, stick: c.stick, deadzone: c.deadzone, sensitivity: c.sensitivity,
+          pointer: c.pointer, pointerSensitivity: c.pointerSensitivity
+        };
+      }
+
+      // KeyboardEvent.code -> short label ('KeyA' -> 'A', 'Digit1' -> '1')
+      function keyLabel(code) {
+        if (!code) return '—';
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        return code.replace(/^Key|^Digit/, '');
+      }
+
+      function buttonLabel(index) {
+        if (index === null || index === undefined) return '—';
+        return BUTTON_NAMES[index] || `Button ${index}`;
+      }
+
+      // raw stick value -> paddle axis: values inside the deadzone are 0, the rest rescaled to
+      // start from 0 at its edge, times the sensitivity, clamped to -1..1 and quantized
+      function shapeAxis(value, deadzone, sensitivity) {
+        const mag = Math.abs(value);
+        if (!(mag > deadzone)) return 0;
+        const v = clamp((mag - deadzone) / (1 - deadzone) * sensitivity, 0, 1);
+        return Math.sign(value) * Math.round(v / AXIS_STEP) * AXIS_STEP;
+      }
+
+      /* -------------------------
+         Bindings
+         ------------------------- */
+      // storage: a localStorage-like object or null; profile: one of PROFILES. A missing,
+      // corrupt or newer entry falls back to the defaults; fields that do not check out keep
+      // their default.
+      class ControlBindings {
+        constructor(storage, profile = 'solo') {
+          if (!PROFILE_DEFAULTS[profile]) throw new RangeError(`Unknown controls profile "${profile}"`);
+          this.storage = storage;
+          this.profile = profile;
+          this.key = profile === 'solo' ? CONTROLS_KEY : `${CONTROLS_KEY}.${profile}`;
+          this.controls = this._load();
+        }
+
+        _load() {
+          const controls = copyControls(PROFILE_DEFAULTS[this.profile]);
+          try {
+            const raw = this.storage && this.storage.getItem(this.key);
+            const data = raw && JSON.parse(raw);
+            if (!data || data.version !== CONTROLS_VERSION) return controls;
+            const isCode = k => k === null || typeof k === 'string';
+            const isButton = b => b === null || (Number.isInteger(b) && b >= 0);
+            for (const action of Object.keys(ACTIONS)) {
+              const keys = data.keys && data.keys[action];
+              if (Array.isArray(keys) && keys.length === KEY_SLOTS && keys.every(isCode)) controls.keys[action] = keys.slice();
+              if (data.buttons && isButton(data.buttons[action])) controls.buttons[action] = data.buttons[action];
+            }
+            if (Number.isInteger(data.stick) && data.stick >= 0) controls.stick = data.stick;
+            if (typeof data.deadzone === 'number') controls.deadzone = clamp(data.deadzone, 0, 0.9);
+            if (typeof data.sensitivity === 'number') controls.sensitivity = clamp(data.sensitivity, 0.25, 4);
+            if (POINTER_MODES.includes(data.pointer)) controls.pointer = data.pointer;
+            if (typeof data.pointerSensitivity === 'number') controls.pointerSensitivity = clamp(data.pointerSensitivity, 0.25, 4);
+          } catch (e) {
+            // keep the defaults
+          }
+          return controls;
+        }
+
+        save() {
+          try {
+            if (this.storage) this.storage.setItem(this.key, JSON.stringify(Object.assign({ version: CONTROLS_VERSION }, this.controls)));
+          } catch (e) {
+            // keep the in-memory bindings
+          }
+        }
+
+        reset() {
+          this.controls = copyControls(PROFILE_DEFAULTS[this.profile]);
+          this.save();
+        }
+
+        // action bound to a KeyboardEvent.code, or null
+        actionForKey(code) {
+          for (const action of Object.keys(ACTIONS)) {
+            if (this.controls.keys[action].includes(code)) return action;
+          }
+          return null;
+        }
+
+        // bind a key to one slot of an action (null clears the slot); a key drives one action,
+        // so it is taken off any other slot first
+        setKey(action, slot, code) {
+          if (code !== null) {
+            for (const keys of Object.values(this.controls.keys)) {
+              for (let i = 0; i < keys.length; i++) if (keys[i] === code) keys[i] = null;
+            }
+          }
+          this.controls.keys[action][slot] = code;
+          this.save();
+        }
+
+        setButton(action, index) {
+          if (index !== null) {
+            for (const a of Object.keys(ACTIONS)) if (this.controls.buttons[a] === index) this.controls.buttons[a] = null;
+          }
+          this.controls.buttons[action] = index;
+          this.save();
+        }
+
+        setStick(deadzone, sensitivity) {
+          this.controls.deadzone = clamp(deadzone, 0, 0.9);
+          this.controls.sensitivity = clamp(sensitivity, 0.25, 4);
+          this.save();
+        }
+
+        setPointer(mode, sensitivity) {
+          if (POINTER_MODES.includes(mode)) this.controls.pointer = mode;
+          this.controls.pointerSensitivity = clamp(sensitivity, 0.25, 4);
+          this.save();
+        }
+
+        // a Gamepad (or anything with axes[] and buttons[].pressed) -> { axis, and a pressed
+        // flag per action }
+        readGamepad(pad) {
+          const c = this.controls;
+          const state = { axis: shapeAxis(pad.axes[c.stick] || 0, c.deadzone, c.sensitivity) };
+          for (const action of Object.keys(ACTIONS)) {
+            const button = pad.buttons[c.buttons[action]];
+            state[action] = !!(button && button.pressed);
+          }
+          return state;
+        }
+      }
+
+      return {
+        CONTROLS_KEY, KEY_SLOTS, ACTIONS, POINTER_MODES, DEFAULT_CONTROLS, PROFILES,
+        ControlBindings, keyLabel, buttonLabel, shapeAxis
+      };
+    });
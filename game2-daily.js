@@ -0,0 +1,144 @@
+
+    /* Neon Bricks daily challenge results: the shareable text/emoji summary of a daily run and
+       the local history of past days, kept in localStorage. The day's seed, stages and
+       modifiers come from the engine; storage is injected so the history also works headless. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory(require('./game2-engine.js'));
+      else root.NeonDaily = factory(root.NeonEngine);
+    })(typeof self !== 'undefined' ? self : this, function (engine) {
+      'use strict';
+
+      const { STATE, DAILY_STAGES, DAILY_MODIFIERS, localDate, dailySeed, dailyModifiers } = engine;
+
+      const DAILY_KEY = 'neon-bricks.daily';
+      const DAILY_VERSION = 1;
+      const MAX_DAYS = 60; // days kept in the history
+
+      function isEntry(e) {
+        return e && typeof e.day === 'string' && Number.isInteger(e.score) && Number.isInteger(e.cleared) &&
+          typeof e.time === 'number' && Number.isInteger(e.attempts) && e.attempts > 0 &&
+          (e.assist === undefined || typeof e.assist === 'boolean'); // entries from before assist mode lack it
+      }
+
+      // newest first, a day's unassisted entry before its assisted one; keeps MAX_DAYS days
+      function recent(entries) {
+        entries.sort((a, b) => (a.day < b.day ? 1 : a.day > b.day ? -1 : !!a.assist - !!b.assist));
+        const days = new Set();
+        return entries.filter(e => days.add(e.day).size <= MAX_DAYS);
+      }
+
+      // seconds -> m:ss
+      function formatTime(seconds) {
+        const s = Math.floor(seconds);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+      }
+
+      // the day whose challenge a seed is, if it is today's or yesterday's (a run begun just
+      // before midnight still counts for the day it was started); null otherwise
+      function dayOfSeed(seed, now = new Date()) {
+        const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+        for (const day of [localDate(now), localDate(yesterday)]) {
+          if (dailySeed(day) === seed) return day;
+        }
+        return null;
+      }
+
+      // result of a finished daily run: { day, score, cleared, time, complete, modifiers,
+      // assist }; `day` labels it
+      function dailyResult(game, day) {
+        const complete = game.state === STATE.VICTORY;
+        return {
+          day,
+          score: game.score,
+          cleared: complete ? game.currentLevel : game.currentLevel - 1,
+          time: Math.round(game.playTime * 10) / 10,
+          complete,
+          modifiers: dailyModifiers(game.seed),
+          assist: game.assist
+        };
+      }
+
+      // the summary to paste elsewhere: one square per stage (cleared, lost on, not reached);
+      // an assisted run says so
+      function shareText(result) {
+        const squares = [];
+        for (let i = 0; i < DAILY_STAGES; i++) {
+          squares.push(i < result.cleared ? '🟩' : i === result.cleared ? '🟥' : '⬛');
+        }
+        const labels = result.modifiers.map(name => DAILY_MODIFIERS[name].label);
+        if (result.assist) labels.push('Assist');
+        return [
+          `Neon Bricks Daily ${result.day}`,
+          labels.join(' · '),
+          `${squares.join('')} ${result.cleared}/${DAILY_STAGES}`,
+          `🏆 ${result.score}  ⏱ ${formatTime(result.time)}`
+        ].join('\n');
+      }
+
+      /* -------------------------
+         History: each day's best run, newest first
+         ------------------------- */
+      // storage: a localStorage-like object or null. Reads and writes that fail leave the
+      // history working in memory, like the high-score tables. Assisted runs are kept apart:
+      // a day can have a best run without assist and one with it.
+      class DailyHistory {
+        constructor(storage) {
+          this.storage = storage;
+          this.entries = this._load(); // { day, score, cleared, time, complete, assist, attempts }
+        }
+
+        _load() {
+          try {
+            const raw = this.storage && this.storage.getItem(DAILY_KEY);
+            if (!raw) return [];
+            const data = JSON.parse(raw);
+            if (!data || data.version !== DAILY_VERSION || !Array.isArray(data.entries)) return [];
+            return recent(data.entries.filter(isEntry));
+          } catch (e) {
+            return [];
+          }
+        }
+
+        _save() {
+          try {
+            if (this.storage) this.storage.setItem(DAILY_KEY, JSON.stringify({ version: DAILY_VERSION, entries: this.entries }));
+          } catch (e) {
+            // keep the in-memory history
+          }
+        }
+
+        get(day, assist = false) {
+          return this.entries.find(e => e.day === day && !!e.assist === assist) || null;
+        }
+
+        // a stored day as a result shareText() accepts
+        result(entry) {
+          return Object.assign({ modifiers: dailyModifiers(dailySeed(entry.day)) }, entry);
+        }
+
+        // count a run toward its day, keeping the day's best (higher score, then less time)
+        // with or without assist; returns true if it is the new best
+        record(result) {
+          const assist = !!result.assist;
+          const best = this.get(result.day, assist);
+          const attempts = best ? best.attempts + 1 : 1;
+          if (best && !(result.score > best.score || (result.score === best.score && result.time < best.time))) {
+            best.attempts = attempts;
+            this._save();
+            return false;
+          }
+          if (best) this.entries.splice(this.entries.indexOf(best), 1);
+          const { day, score, cleared, time, complete } = result;
+          this.entries.push({ day, score, cleared, time, complete, assist, attempts });
+          this.entries = recent(this.entries);
+          this._save();
+          return true;
+        }
+      }
+
+      return {
+        DAILY_KEY, MAX_DAYS,
+        DailyHistory, dailyResult, shareText, formatTime, dayOfSeed
+      };
+    });
@@ -0,0 +1,411 @@
+
+    /* Neon Bricks level editor: paints a level on the game canvas and reads/writes the
+       level file format (LEVELS.md). game2.js owns the instance and switches the canvas
+       between the game and the editor. */
+    (function () {
+      'use strict';
+
+      const {
+        WIDTH, HEIGHT, BRICK_ROWS, BRICK_COLS, LEVEL_FORMAT, LEVEL_VERSION,
+        Brick, LevelManager, validateLevelPack, validateLevel, levelCells, cellRect
+      } = window.NeonEngine;
+
+      const UNDO_LIMIT = 100;
+      // characters handed out to colours when exporting a layout
+      const MAP_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+      function emptyGrid(rows, cols) {
+        const grid = [];
+        for (let r = 0; r < rows; r++) grid.push(new Array(cols).fill(null));
+        return grid;
+      }
+
+      function cloneGrid(grid) {
+        return grid.map(row => row.map(cell => (cell ? Object.assign({}, cell) : null)));
+      }
+
+      /* -------------------------
+         Layout <-> level file conversion
+         ------------------------- */
+      // grid of { color, hp, type, drops } cells -> level object in the file format. What the
+      // map and the hp grid cannot say goes into `cells` overrides: colours past the map
+      // characters, hp past the hp grid's single digit and each cell's own drops.
+      function gridToLevel(grid, meta) {
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const bricks = {};
+        const charFor = new Map(); // colour|type -> map character
+        const cells = [];
+        const layout = [];
+        const hp = [];
+        let needHp = false;
+        for (let r = 0; r < rows; r++) {
+          let line = '';
+          let hpLine = '';
+          for (let c = 0; c < cols; c++) {
+            const cell = grid[r][c];
+            if (!cell) { line += '.'; hpLine += '.'; continue; }
+            const key = `${cell.color}|${cell.type}`;
+            let ch = charFor.get(key);
+            if (!ch && charFor.size < MAP_CHARS.length) {
+              ch = MAP_CHARS[charFor.size];
+              charFor.set(key, ch);
+              bricks[ch] = { color: cell.color };
+              if (cell.type !== 'normal') bricks[ch].type = cell.type;
+            }
+            const override = { row: r, col: c };
+            if (!ch) {
+              // out of map characters: reuse the first one and override this cell
+              ch = MAP_CHARS[0];
+              Object.assign(override, { color: cell.color, type: cell.type });
+            }
+            line += ch;
+            if (cell.hp > 9) {
+              hpLine += '.';
+              override.hp = cell.hp;
+            } else {
+              hpLine += String(cell.hp);
+              if (cell.hp !== 1) needHp = true;
+            }
+            if (cell.drops) override.drops = cell.drops;
+            if (Object.keys(override).length > 2) cells.push(override);
+          }
+          layout.push(line);
+          hp.push(hpLine);
+        }
+        const level = Object.assign({}, meta, { grid: { rows, cols }, bricks, layout });
+        if (needHp) level.hp = hp;
+        if (cells.length) level.cells = cells;
+        return level;
+      }
+
+      function levelToGrid(level, packBricks) {
+        if (!level.layout) return emptyGrid(BRICK_ROWS, BRICK_COLS); // boss stage without bricks
+        return levelCells(level, packBricks).map(row => row.map(def => (
+          def ? { color: def.color, hp: def.hp, type: def.type, drops: def.drops } : null
+        )));
+      }
+
+      /* -------------------------
+         Level editor
+         ------------------------- */
+      class LevelEditor {
+        // options: { canvas, toLogical(clientX, clientY), onTestPlay(level), onExit() };
+        // toLogical maps pointer coordinates to the playfield (plain rect scaling by default)
+        constructor(options) {
+          this.canvas = options.canvas;
+          this.toLogical = options.toLogical || ((clientX, clientY) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return { x: (clientX - rect.left) * (WIDTH / rect.width), y: (clientY - rect.top) * (HEIGHT / rect.height) };
+          });
+          this.onTestPlay = options.onTestPlay;
+          this.onExit = options.onExit;
+          this.active = false;
+          this.grid = emptyGrid(BRICK_ROWS, BRICK_COLS);
+          this.undoStack = [];
+          this.redoStack = [];
+          this.tool = 'paint';
+          this.brush = { color: '#ff4dd2', hp: 1, type: 'normal' };
+          this.hover = null; // { row, col } under the pointer
+          this.dragStart = null; // fill-tool rectangle anchor
+          this.painting = false;
+          this.importedLevels = [];
+          this.el = {
+            panel: document.getElementById('editorPanel'),
+            tools: document.querySelectorAll('#editorPanel [data-tool]'),
+            color: document.getElementById('editorColor'),
+            hp: document.getElementById('editorHp'),
+            type: document.getElementById('editorType'),
+            name: document.getElementById('editorName'),
+            pick: document.getElementById('editorLevelPick'),
+            file: document.getElementById('editorFile')
+          };
+          this._bind();
+        }
+
+        get rows() { return this.grid.length; }
+        get cols() { return this.grid[0].length; }
+
+        open() {
+          this.active = true;
+          this.el.panel.hidden = false;
+        }
+
+        close() {
+          this.active = false;
+          this.el.panel.hidden = true;
+          this.hover = null;
+          this.dragStart = null;
+        }
+
+        _bind() {
+          const byId = id => document.getElementById(id);
+          this.el.tools.forEach((btn) => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+          });
+          this.el.color.addEventListener('input', () => { this.brush.color = this.el.color.value; });
+          this.el.hp.addEventListener('change', () => { this.brush.hp = Number(this.el.hp.value); });
+          this.el.type.addEventListener('change', () => { this.brush.type = this.el.type.value; });
+          byId('editorMirrorX').addEventListener('click', () => this.mirror('x'));
+          byId('editorMirrorY').addEventListener('click', () => this.mirror('y'));
+          byId('editorClear').addEventListener('click', () => this.edit(() => { this.grid = emptyGrid(this.rows, this.cols); }));
+          byId('editorUndo').addEventListener('click', () => this.undo());
+          byId('editorRedo').addEventListener('click', () => this.redo());
+          byId('editorTest').addEventListener('click', () => this.testPlay());
+          byId('editorExport').addEventListener('click', () => this.exportFile());
+          byId('editorImport').addEventListener('click', () => this.el.file.click());
+          byId('editorClose').addEventListener('click', () => this.onExit());
+          this.el.file.addEventListener('change', () => {
+            const file = this.el.file.files[0];
+            this.el.file.value = '';
+            if (file) file.text().then(text => this.importText(text));
+          });
+          this.el.pick.addEventListener('change', () => this.loadImported(Number(this.el.pick.value)));
+
+          this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.active) return;
+            const cell = this._cellFromEvent(e);
+            if (!cell) return;
+            if (this.tool === 'fill') {
+              this.dragStart = cell;
+            } else {
+              this._pushUndo();
+              this.painting = true;
+              this._applyTool(cell);
+            }
+          });
+          window.addEventListener('pointermove', (e) => {
+            if (!this.active) return;
+            this.hover = this._cellFromEvent(e);
+            if (this.painting && this.hover) this._applyTool(this.hover);
+          });
+          window.addEventListener('pointerup', (e) => {
+            if (!this.active) return;
+            this.painting = false;
+            if (this.dragStart) {
+              const end = this._cellFromEvent(e) || this.hover;
+              if (end) this.fillRect(this.dragStart, end);
+              this.dragStart = null;
+            }
+          });
+          window.addEventListener('keydown', (e) => {
+            if (!this.active || !(e.ctrlKey || e.metaKey)) return;
+            if (e.code === 'KeyZ' && !e.shiftKey) { this.undo(); e.preventDefault(); }
+            else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) { this.redo(); e.preventDefault(); }
+          });
+        }
+
+        setTool(tool) {
+          this.tool = tool;
+          this.el.tools.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+        }
+
+        // canvas pointer position -> grid cell, or null outside the grid
+        _cellFromEvent(e) {
+          const { x, y } = this.toLogical(e.clientX, e.clientY);
+          // steps include the gaps between bricks so the grid has no dead zones
+          const first = cellRect(0, 0, this.rows, this.cols);
+          const colStep = first.w + 2;
+          const rowStep = this.rows > 1 ? cellRect(1, 0, this.rows, this.cols).y - first.y : first.h + 6;
+          const col = Math.floor((x - first.x) / colStep);
+          const row = Math.floor((y - first.y) / rowStep);
+          if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return null;
+          return { row, col };
+        }
+
+        _applyTool({ row, col }) {
+          this.grid[row][col] = this.tool === 'erase' ? null : Object.assign({}, this.brush);
+        }
+
+        /* -- editing operations (each is one undo step) -- */
+        _pushUndo() {
+          this.undoStack.push(cloneGrid(this.grid));
+          if (this.undoStack.length > UNDO_LIMIT) this.undoStack.shift();
+          this.redoStack = [];
+        }
+
+        edit(fn) {
+          this._pushUndo();
+          fn();
+        }
+
+        undo() {
+          if (!this.undoStack.length) return;
+          this.redoStack.push(cloneGrid(this.grid));
+          this.grid = this.undoStack.pop();
+        }
+
+        redo() {
+          if (!this.redoStack.length) return;
+          this.undoStack.push(cloneGrid(this.grid));
+          this.grid = this.redoStack.pop();
+        }
+
+        // fill the rectangle between two cells with the brush
+        fillRect(a, b) {
+          this.edit(() => {
+            for (let r = Math.min(a.row, b.row); r <= Math.max(a.row, b.row); r++) {
+              for (let c = Math.min(a.col, b.col); c <= Math.max(a.col, b.col); c++) {
+                this.grid[r][c] = Object.assign({}, this.brush);
+              }
+            }
+          });
+        }
+
+        // copy the left half onto the right ('x') or the top half onto the bottom ('y')
+        mirror(axis) {
+          this.edit(() => {
+            const { rows, cols } = this;
+            for (let r = 0; r < rows; r++) {
+              for (let c = 0; c < cols; c++) {
+                if (axis === 'x' && c >= Math.ceil(cols / 2)) {
+                  const src = this.grid[r][cols - 1 - c];
+                  this.grid[r][c] = src ? Object.assign({}, src) : null;
+                } else if (axis === 'y' && r >= Math.ceil(rows / 2)) {
+                  const src = this.grid[rows - 1 - r][c];
+                  this.grid[r][c] = src ? Object.assign({}, src) : null;
+                }
+              }
+            }
+          });
+        }
+
+        /* -- level file round trip -- */
+        toLevel() {
+          const meta = {};
+          if (this.el.name.value.trim()) meta.name = this.el.name.value.trim();
+          return gridToLevel(this.grid, meta);
+        }
+
+        testPlay() {
+          const level = this.toLevel();
+          if (!level.layout.some(line => /[^.]/.test(line))) {
+            window.alert('Paint at least one brick before test playing.');
+            return;
+          }
+          this.onTestPlay(level);
+        }
+
+        exportFile() {
+          const level = this.toLevel();
+          const pack = {
+            format: LEVEL_FORMAT,
+            version: LEVEL_VERSION,
+            id: 'custom',
+            name: level.name || 'Custom level',
+            levels: [level]
+          };
+          try {
+            validateLevelPack(pack);
+          } catch (err) {
+            window.alert(`Could not export level: ${err.message}`);
+            return;
+          }
+          const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = `${(level.name || 'neon-bricks-level').replace(/[^a-z0-9_-]+/gi, '-').toLowerCase()}.json`;
+          document.body.appendChild(a);
+          a.click();
+          a.remove();
+          URL.revokeObjectURL(url);
+        }
+
+        // accepts a level pack (any level can be picked) or a bare level object
+        importText(text) {
+          try {
+            const data = LevelManager.parse(text);
+            if (data && data.format === LEVEL_FORMAT) {
+              validateLevelPack(data);
+              this.importedLevels = data.levels.map(level => ({ level, bricks: data.bricks }));
+            } else {
+              validateLevel(data, 'level', {});
+              this.importedLevels = [{ level: data, bricks: {} }];
+            }
+          } catch (err) {
+            window.alert(`Could not import level: ${err.message}`);
+            return;
+          }
+          this.el.pick.innerHTML = '';
+          this.importedLevels.forEach(({ level }, i) => {
+            const opt = document.createElement('option');
+            opt.value = String(i);
+            opt.textContent = level.name || `Level ${i + 1}`;
+            this.el.pick.appendChild(opt);
+          });
+          this.el.pick.hidden = this.importedLevels.length < 2;
+          this.loadImported(0);
+        }
+
+        loadImported(i) {
+          const entry = this.importedLevels[i];
+          if (!entry) return;
+          this.edit(() => { this.grid = levelToGrid(entry.level, entry.bricks); });
+          this.el.name.value = entry.level.name || '';
+        }
+
+        /* -- drawing -- */
+        // glow: factor on the bricks' neon blur, as in play
+        draw(ctx, glow = 1) {
+          const { rows, cols } = this;
+          ctx.save();
+          ctx.fillStyle = '#040319';
+          ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+          // empty cell outlines
+          ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+          ctx.lineWidth = 1;
+          for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+              const cr = cellRect(r, c, rows, cols);
+              ctx.strokeRect(cr.x + 0.5, cr.y + 0.5, cr.w - 1, cr.h - 1);
+            }
+          }
+          ctx.restore();
+
+          // bricks, drawn exactly as in play, with hp on top
+          for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+              const cell = this.grid[r][c];
+              if (!cell) continue;
+              const cr = cellRect(r, c, rows, cols);
+              const brick = new Brick(cr.x, cr.y, cr.w, cr.h, cell.color, cell.hp, cell.type);
+              brick.revealed = true; // hidden bricks still have to be seen to be edited
+              brick.draw(ctx, null, glow);
+              if (cell.hp > 1 && cr.h >= 10) {
+                ctx.save();
+                ctx.fillStyle = '#041219';
+                ctx.font = `bold ${Math.min(14, cr.h - 4)}px monospace`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(cell.hp), cr.x + cr.w / 2, cr.y + cr.h / 2 + 1);
+                ctx.restore();
+              }
+            }
+          }
+
+          // hover cell / pending fill rectangle
+          const a = this.dragStart || this.hover;
+          const b = this.hover || this.dragStart;
+          if (a && b) {
+            const r0 = cellRect(Math.min(a.row, b.row), Math.min(a.col, b.col), rows, cols);
+            const r1 = cellRect(Math.max(a.row, b.row), Math.max(a.col, b.col), rows, cols);
+            ctx.save();
+            ctx.strokeStyle = this.tool === 'erase' ? '#ff4dd2' : '#ffd84d';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(r0.x - 1, r0.y - 1, r1.x + r1.w - r0.x + 2, r1.y + r1.h - r0.y + 2);
+            ctx.restore();
+          }
+
+          ctx.save();
+          ctx.fillStyle = '#ECEEDF';
+          ctx.font = '14px monospace';
+          ctx.textAlign = 'center';
+          ctx.fillText(`EDITOR  ${rows}x${cols}  tool: ${this.tool}`, WIDTH / 2, HEIGHT - 20);
+          ctx.restore();
+        }
+      }
+
+      window.NeonEditor = { LevelEditor, gridToLevel, levelToGrid };
+    })();
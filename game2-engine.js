@@ -0,0 +1,2878 @@
+
+    /* Neon Bricks simulation core.
+       Everything in here is free of DOM/canvas globals so it can run headless under Node
+       (tests, replays) as well as in the browser. Input, rendering and sound are adapters
+       injected into Game; entity draw() methods only touch the 2D context they are given. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory();
+      else root.NeonEngine = factory();
+    })(typeof self !== 'undefined' ? self : this, function () {
+      'use strict';
+
+      // Game constants (logical playfield size matches the 800x600 canvas)
+      const WIDTH = 800;
+      const HEIGHT = 600;
+      const PADDLE_Y = HEIGHT - 36;
+      const PADDLE_BASE_WIDTH = 120;
+      const ASSIST_PADDLE_WIDTH = 1.4; // paddle width factor in assist mode
+      const ASSIST_BALL_SPEED = 0.75; // ball speed factor in assist mode
+      const PADDLE_HEIGHT = 16;
+      const BALL_RADIUS = 6;
+      const BRICK_ROWS = 6;
+      const BRICK_COLS = 10;
+      const BRICK_W = Math.floor((WIDTH - 80) / BRICK_COLS);
+      const BRICK_H = 22;
+      const POWER_CHANCE = 0.18; // chance a destroyed brick drops a power-up
+      const WALL = 8; // thickness of the left/right/top walls
+      const MAX_CONTACTS = 8; // contacts a ball may resolve within one step
+      const BARRIER_Y = HEIGHT - 10; // top of the safety barrier power-up
+      const CATCH_HOLD = 3; // seconds a caught ball stays on the paddle before it launches itself
+      const LASER_SPEED = 720; // px/s, upward
+      const LASER_COOLDOWN = 0.3; // seconds between laser volleys
+      const MAX_PROJECTILES = 6; // live laser bolts
+      const BOSS_HIT_SCORE = 50;
+      const BOSS_MAX_DAMAGE = 2; // cap on one hit's damage to a boss (fireballs, blasts)
+      const HAZARD_RADIUS = 7;
+      const GRID_CELL = 64; // broad-phase cell size in px (a brick spans at most a few cells)
+      const FIXED_DT = 1 / 120; // simulation step in seconds; rendering runs at display rate
+      const MAX_FRAME_DT = 0.25; // cap on real time fed to the accumulator after a stall
+      const START_LIVES = 3;
+
+      // Game states
+      const STATE = {
+        READY: 'READY', PLAYING: 'PLAYING', PAUSED: 'PAUSED', LEVEL_COMPLETE: 'LEVEL_COMPLETE', GAME_OVER: 'GAME_OVER',
+        VICTORY: 'VICTORY' // last stage of the campaign cleared
+      };
+
+      /* -------------------------
+         Utility helpers
+         ------------------------- */
+      function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+      // pick a key of { key: weight }; null when every weight is zero
+      function weightedChoice(rng, weights) {
+        const keys = Object.keys(weights);
+        let total = 0;
+        for (const k of keys) total += weights[k];
+        if (total <= 0) return null;
+        let roll = rng.next() * total;
+        for (const k of keys) {
+          roll -= weights[k];
+          if (roll < 0 && weights[k] > 0) return k;
+        }
+        return keys.filter(k => weights[k] > 0).pop();
+      }
+      // fresh seed for a new run; the only place Math.random is allowed to reach gameplay
+      function newSeed() { return Math.floor(Math.random() * 0x100000000) >>> 0; }
+
+      /* -------------------------
+         Seeded PRNG (mulberry32)
+         ------------------------- */
+      // All gameplay randomness goes through a Rng so that the same seed and input
+      // sequence always reproduce the same run.
+      class Rng {
+        constructor(seed) {
+          this.state = seed >>> 0;
+        }
+
+        // uniform float in [0, 1)
+        next() {
+          this.state = (this.state + 0x6D2B79F5) >>> 0;
+          let t = this.state;
+          t = Math.imul(t ^ (t >>> 15), t | 1);
+          t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+          return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // uniform float in [a, b)
+        range(a, b) { return a + this.next() * (b - a); }
+      }
+
+      /* -------------------------
+         Game Objects
+         ------------------------- */
+      // Each draw method takes a last `glow` argument: a factor on its neon shadowBlur, 1 by
+      // default and 0 for no glow at all (reduced motion).
+
+      // Paddle: controlled by player; has width, x, y; can expand with power-up. It stays
+      // between minX and maxX (a co-op paddle keeps to its half of the field).
+      class Paddle {
+        constructor(minX = 12, maxX = WIDTH - 12, baseWidth = PADDLE_BASE_WIDTH) {
+          this.minX = minX;
+          this.maxX = maxX;
+          this.baseWidth = baseWidth; // width without paddle power-ups (wider in assist mode)
+          this.width = baseWidth;
+          this.height = PADDLE_HEIGHT;
+          this.x = (minX + maxX) / 2 - this.width / 2;
+          this.y = PADDLE_Y;
+          this.speed = 960; // px/s movement speed when keyboard controlled
+          this.sticky = false; // catch power-up: balls stick to the paddle until launched
+          this.laser = false; // laser power-up: launch fires bolts from both ends
+          this.color = '#33e0ff';
+          this.glow = 'rgba(51,224,255,0.28)';
+        }
+
+        update(dt, input) {
+          // keyboard/d-pad movement on top of the analog stick
+          let move = input.axis || 0;
+          if (input.left) move -= 1;
+          if (input.right) move += 1;
+          move = clamp(move, -1, 1);
+
+          // pointer drag movement overrides keyboard
+          if (input.pointerDown) {
+            // pointerX is canvas-space; center paddle on pointerX
+            const targetX = clamp(input.pointerX - this.width / 2, this.minX, this.maxX - this.width);
+            // smooth move
+            this.x = this.x + (targetX - this.x) * clamp(dt * 12, 0, 1);
+          } else {
+            if (move !== 0) {
+              this.x += move * this.speed * dt;
+              this.x = clamp(this.x, this.minX, this.maxX - this.width);
+            } else {
+              // slight easing to center edges
+              this.x = clamp(this.x, this.minX, this.maxX - this.width);
+            }
+          }
+        }
+
+        // change width around the current centre (power-ups)
+        resize(width) {
+          const cx = this.x + this.width / 2;
+          this.width = width;
+          this.x = clamp(cx - width / 2, this.minX, this.maxX - width);
+        }
+
+        draw(ctx, glow = 1) {
+          // neon style paddle (rounded rectangle)
+          ctx.save();
+          ctx.fillStyle = '#041219';
+          ctx.fillRect(this.x - 2, this.y - 2, this.width + 4, this.height + 4);
+          // glow
+          ctx.shadowColor = this.glow;
+          ctx.shadowBlur = 10 * glow;
+          ctx.fillStyle = this.color;
+          ctx.fillRect(this.x, this.y, this.width, this.height);
+          if (this.sticky) {
+            // catch power-up: glowing strip along the top
+            ctx.shadowColor = '#b58cff';
+            ctx.fillStyle = '#b58cff';
+            ctx.fillRect(this.x + 4, this.y, this.width - 8, 3);
+          }
+          if (this.laser) {
+            // laser cannons where the bolts leave
+            ctx.shadowColor = '#ff3d3d';
+            ctx.fillStyle = '#ff5a5a';
+            ctx.fillRect(this.x + 5, this.y - 6, 6, 8);
+            ctx.fillRect(this.x + this.width - 11, this.y - 6, 6, 8);
+          }
+          ctx.restore();
+        }
+
+        // rectangle for collision
+        getRect() {
+          return { x: this.x, y: this.y, w: this.width, h: this.height };
+        }
+      }
+
+      // Ball: simple physics, maintains velocity and position
+      class Ball {
+        constructor(x, y, speed = 360) {
+          this.x = x;
+          this.y = y;
+          // initial velocity will be set on launch
+          this.vx = 0;
+          this.vy = 0;
+          this.radius = BALL_RADIUS;
+          this.speed = speed; // magnitude speed (px/s)
+          this.stuck = true; // stuck to paddle until launch
+          this.caught = false; // stuck because the catch power-up caught it (not a serve)
+          this.stickOffset = 0; // x offset from the paddle centre while stuck
+          this.heldFor = 0; // seconds a caught ball has been held
+          this.owner = 0; // index of the paddle that served or last touched it
+          this.spin = 0; // visual spin
+          this.color = '#ffd84d';
+        }
+
+        attachToPaddle(paddle) {
+          this.stuck = true;
+          this.caught = false;
+          this.stickOffset = 0;
+          this.x = paddle.x + paddle.width / 2;
+          this.y = paddle.y - this.radius - 2;
+        }
+
+        launch(ang = -Math.PI / 4) {
+          // ang is angle in radians measured from +x axis; but we'll use angle where up is negative y
+          this.stuck = false;
+          this.vx = this.speed * Math.cos(ang);
+          this.vy = this.speed * Math.sin(ang);
+        }
+
+        setVelocityFromSpeed(angle) {
+          this.vx = this.speed * Math.cos(angle);
+          this.vy = this.speed * Math.sin(angle);
+        }
+
+        // reflect off rectangular surface with normal (nx,ny)
+        reflect(nx, ny, speedMultiplier = 1.0) {
+          // reflect velocity vector across normal: v' = v - 2*(v·n)*n
+          const vDotN = this.vx * nx + this.vy * ny;
+          this.vx = this.vx - 2 * vDotN * nx;
+          this.vy = this.vy - 2 * vDotN * ny;
+
+          // normalize speed to maintain magnitude (with optional multiplier)
+          const mag = Math.hypot(this.vx, this.vy) || 1;
+          const desired = this.speed * speedMultiplier;
+          this.vx = (this.vx / mag) * desired;
+          this.vy = (this.vy / mag) * desired;
+        }
+
+        // `fire`: drawn as a fireball while that power-up is active
+        draw(ctx, fire = false, glow = 1) {
+          ctx.save();
+          ctx.beginPath();
+          ctx.fillStyle = '#041219';
+          ctx.arc(this.x, this.y, this.radius + 2.5, 0, Math.PI * 2);
+          ctx.fill();
+          // neon glow
+          ctx.shadowColor = fire ? '#ff3d00' : '#ffd84d';
+          ctx.shadowBlur = (fire ? 26 : 18) * glow;
+          ctx.beginPath();
+          ctx.fillStyle = fire ? '#ff7a2e' : this.color;
+          ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.restore();
+        }
+      }
+
+      // Colour-blind-safe brick styles for Brick.draw: the fill follows hp (Okabe-Ito colours,
+      // 1 hp first) instead of the level's colour, and hp is marked on the brick as well, as
+      // a number or as one diagonal stripe per hp beyond the first.
+      const SAFE_COLORS = ['#56b4e9', '#e69f00', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7'];
+      const BRICK_PALETTES = {
+        neon: null, // the level's own colours
+        numbers: { colors: SAFE_COLORS, mark: 'number' },
+        patterns: { colors: SAFE_COLORS, mark: 'stripes' }
+      };
+
+      // Brick types: scoring and behaviour. Bricks that are not breakable never count toward
+      // level completion.
+      const BRICK_TYPES = {
+        normal: { breakable: true, hitScore: 100, destroyScore: 0 },
+        steel: { breakable: false, hitScore: 0, destroyScore: 0 }, // indestructible
+        explosive: { breakable: true, hitScore: 100, destroyScore: 200 }, // damages its neighbours when destroyed
+        moving: { breakable: true, hitScore: 100, destroyScore: 150 }, // slides along empty cells of its row
+        regen: { breakable: true, hitScore: 100, destroyScore: 150 }, // regrows hp after REGEN_DELAY
+        hidden: { breakable: true, hitScore: 100, destroyScore: 250, revealScore: 50 } // invisible until first hit
+      };
+      const MOVING_BRICK_SPEED = 60; // px/s
+      const REGEN_DELAY = 4; // seconds without damage before a regen brick regrows 1 hp
+      const BLAST_REACH = 8; // px around an explosive brick that its blast reaches
+
+      // Brick: rectangular bricks with color, hp and a type from BRICK_TYPES
+      class Brick {
+        constructor(x, y, w, h, color, hp = 1, type = 'normal') {
+          this.x = x; this.y = y; this.w = w; this.h = h;
+          this.color = color; this.hp = hp;
+          this.maxHp = hp;
+          this.alive = true;
+          this.type = type;
+          this.revealed = type !== 'hidden';
+          this.vx = type === 'moving' ? MOVING_BRICK_SPEED : 0;
+          this.minX = x; this.maxX = x; // travel range of a moving brick, set by the level builder
+          this.regenTimer = 0;
+          this.drops = null; // per-brick drop table override ({ chance, table })
+          this.gridMark = 0; // BrickGrid query bookkeeping
+        }
+
+        get breakable() { return BRICK_TYPES[this.type].breakable; }
+        get scoring() { return BRICK_TYPES[this.type]; }
+
+        // take damage (1 per ball hit); returns 'deflect' (indestructible), 'reveal' (a hidden
+        // brick's first hit, which uses up one point), 'damage' or 'destroy'
+        hit(damage = 1) {
+          if (!this.breakable) return 'deflect';
+          if (!this.revealed) {
+            this.revealed = true;
+            if (--damage <= 0) return 'reveal';
+          }
+          this.hp -= damage;
+          this.regenTimer = 0;
+          if (this.hp <= 0) {
+            this.alive = false;
+            return 'destroy';
+          }
+          return 'damage';
+        }
+
+        // per-step behaviour of moving and regenerating bricks; returns true if it moved
+        update(dt) {
+          if (this.type === 'moving') {
+            this.x += this.vx * dt;
+            if (this.x <= this.minX) { this.x = this.minX; this.vx = Math.abs(this.vx); }
+            else if (this.x >= this.maxX) { this.x = this.maxX; this.vx = -Math.abs(this.vx); }
+            return true;
+          }
+          if (this.type === 'regen' && this.hp < this.maxHp) {
+            this.regenTimer += dt;
+            if (this.regenTimer >= REGEN_DELAY) {
+              this.hp++;
+              this.regenTimer = 0;
+            }
+          }
+          return false;
+        }
+
+        // palette: an entry of BRICK_PALETTES, or null for the level's colours
+        draw(ctx, palette = null, glow = 1) {
+          if (!this.alive || !this.revealed) return;
+          const { x, y, w, h } = this;
+          // neon brick with inner highlight and border
+          ctx.save();
+          ctx.fillStyle = '#041219';
+          ctx.fillRect(x - 2, y - 2, w + 4, h + 4);
+          if (this.type === 'steel') {
+            // brushed metal: no glow, bevelled edges and rivets
+            const g = ctx.createLinearGradient(x, y, x, y + h);
+            g.addColorStop(0, '#c9d1dc');
+            g.addColorStop(1, '#6b7483');
+            ctx.fillStyle = g;
+            ctx.fillRect(x, y, w, h);
+            ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+            ctx.strokeRect(x + 1.5, y + 1.5, w - 3, h - 3);
+            ctx.fillStyle = '#3b4250';
+            for (const [rx, ry] of [[x + 5, y + 5], [x + w - 5, y + 5], [x + 5, y + h - 5], [x + w - 5, y + h - 5]]) {
+              ctx.beginPath();
+              ctx.arc(rx, ry, 1.6, 0, Math.PI * 2);
+              ctx.fill();
+            }
+            ctx.restore();
+            return;
+          }
+          const color = palette ? palette.colors[Math.min(this.hp, palette.colors.length) - 1] : this.color;
+          ctx.shadowColor = color;
+          ctx.shadowBlur = 14 * glow;
+          ctx.fillStyle = color;
+          ctx.fillRect(x, y, w, h);
+          // inner glow stripe
+          ctx.shadowBlur = 0;
+          ctx.fillStyle = 'rgba(255,255,255,0.12)';
+          ctx.fillRect(x + 6, y + 4, w - 12, Math.floor(h / 3));
+
+          // type markings
+          ctx.strokeStyle = '#041219';
+          ctx.fillStyle = '#041219';
+          ctx.lineWidth = 2;
+          const cx = x + w / 2, cy = y + h / 2, s = Math.min(6, h / 3);
+          if (this.type === 'explosive') {
+            // hazard cross inside a ring
+            ctx.beginPath();
+            ctx.arc(cx, cy, s + 2, 0, Math.PI * 2);
+            ctx.moveTo(cx - s, cy - s); ctx.lineTo(cx + s, cy + s);
+            ctx.moveTo(cx + s, cy - s); ctx.lineTo(cx - s, cy + s);
+            ctx.stroke();
+          } else if (this.type === 'moving') {
+            // chevrons pointing both ways
+            ctx.beginPath();
+            ctx.moveTo(x + 10, cy - s); ctx.lineTo(x + 5, cy); ctx.lineTo(x + 10, cy + s);
+            ctx.moveTo(x + w - 10, cy - s); ctx.lineTo(x + w - 5, cy); ctx.lineTo(x + w - 10, cy + s);
+            ctx.stroke();
+          } else if (this.type === 'regen') {
+            // plus sign and one pip per missing hp
+            ctx.beginPath();
+            ctx.moveTo(cx - s, cy); ctx.lineTo(cx + s, cy);
+            ctx.moveTo(cx, cy - s); ctx.lineTo(cx, cy + s);
+            ctx.stroke();
+            for (let i = 0; i < this.maxHp - this.hp; i++) ctx.fillRect(x + 4 + i * 5, y + h - 5, 3, 3);
+          } else if (this.type === 'hidden') {
+            // dashed inner frame marks a brick that was hidden
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(x + 3, y + 3, w - 6, h - 6);
+          }
+          if (palette) this._drawHp(ctx, palette.mark);
+          ctx.restore();
+        }
+
+        // hp marking of the colour-blind palettes, clear of the type markings in the middle
+        _drawHp(ctx, mark) {
+          const { x, y, w, h } = this;
+          ctx.setLineDash([]);
+          if (mark === 'number') {
+            // light on a dark outline, readable on every palette colour
+            ctx.font = 'bold 11px monospace';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.lineWidth = 3;
+            ctx.strokeText(String(this.hp), x + w - 4, y + h / 2 + 1);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(this.hp), x + w - 4, y + h / 2 + 1);
+            return;
+          }
+          ctx.lineWidth = 2.5;
+          ctx.beginPath();
+          for (let i = 1; i < this.hp; i++) {
+            const sx = x + (w * i) / this.hp;
+            ctx.moveTo(sx - 4, y + h - 1);
+            ctx.lineTo(sx + 4, y + 1);
+          }
+          ctx.stroke();
+        }
+      }
+
+      /* -------------------------
+         Bosses
+         ------------------------- */
+      const BOSS_ATTACKS = ['drop', 'spread', 'aimed'];
+      // phases apply from the hp fraction `below` downwards
+      const DEFAULT_BOSS_PHASES = [
+        { below: 1, speed: 90, fireEvery: 2.4, attack: 'drop' },
+        { below: 0.6, speed: 140, fireEvery: 1.8, attack: 'spread' },
+        { below: 0.3, speed: 200, fireEvery: 1.3, attack: 'aimed' }
+      ];
+
+      // Boss: a moving multi-hp target on boss stages. It sits in the brick grid and takes ball
+      // hits through the same path as bricks; its phase (speed, attack) follows its hp.
+      class Boss {
+        constructor(def) {
+          this.name = def.name || 'Boss';
+          this.w = def.width || 160;
+          this.h = def.height || 40;
+          this.x = WIDTH / 2 - this.w / 2;
+          this.y = def.y || 90;
+          this.color = def.color || '#ff4dd2';
+          this.hp = def.hp;
+          this.maxHp = def.hp;
+          this.phases = def.phases || DEFAULT_BOSS_PHASES;
+          this.phase = 0;
+          this.dir = 1;
+          this.fireTimer = this.phases[0].fireEvery;
+          this.flash = 0; // seconds of hit / phase-change flash left
+          this.alive = true;
+          this.type = 'boss';
+          this.scoring = { hitScore: BOSS_HIT_SCORE, destroyScore: def.score !== undefined ? def.score : 5000 };
+          this.gridMark = 0; // BrickGrid query bookkeeping
+        }
+
+        get breakable() { return true; }
+
+        // same contract as Brick.hit()
+        hit(damage = 1) {
+          this.hp -= Math.min(damage, BOSS_MAX_DAMAGE);
+          this.flash = Math.max(this.flash, 0.1);
+          if (this.hp <= 0) {
+            this.hp = 0;
+            this.alive = false;
+            return 'destroy';
+          }
+          while (this.phase + 1 < this.phases.length && this.hp <= this.maxHp * this.phases[this.phase + 1].below) {
+            this.phase++;
+            this.flash = 0.6;
+          }
+          return 'damage';
+        }
+
+        // sweep side to side; returns the attack to launch this step, or null
+        update(dt) {
+          const phase = this.phases[this.phase];
+          this.x += this.dir * phase.speed * dt;
+          if (this.x <= WALL + 4) { this.x = WALL + 4; this.dir = 1; }
+          else if (this.x + this.w >= WIDTH - WALL - 4) { this.x = WIDTH - WALL - 4 - this.w; this.dir = -1; }
+          this.flash = Math.max(0, this.flash - dt);
+          this.fireTimer -= dt;
+          if (this.fireTimer > 0) return null;
+          this.fireTimer += phase.fireEvery;
+          return phase.attack;
+        }
+
+        draw(ctx, glow = 1) {
+          if (!this.alive) return;
+          const { x, y, w, h } = this;
+          ctx.save();
+          ctx.fillStyle = '#041219';
+          ctx.fillRect(x - 3, y - 3, w + 6, h + 6);
+          ctx.shadowColor = this.color;
+          ctx.shadowBlur = (20 + this.phase * 6) * glow;
+          ctx.fillStyle = this.flash > 0 ? '#ffffff' : this.color;
+          ctx.fillRect(x, y, w, h);
+          // visor with one eye per phase reached
+          ctx.shadowBlur = 0;
+          ctx.fillStyle = '#041219';
+          ctx.fillRect(x + 12, y + h / 2 - 6, w - 24, 12);
+          ctx.fillStyle = '#ffd84d';
+          for (let i = 0; i <= this.phase; i++) {
+            const ex = x + w / 2 + (i - this.phase / 2) * 22;
+            ctx.beginPath();
+            ctx.arc(ex, y + h / 2, 4, 0, Math.PI * 2);
+            ctx.fill();
+          }
+          ctx.restore();
+        }
+
+        // name and health bar across the top of the playfield
+        drawHealthBar(ctx, glow = 1) {
+          const x = 120, y = 18, w = WIDTH - 240, h = 10;
+          ctx.save();
+          ctx.fillStyle = 'rgba(255,255,255,0.12)';
+          ctx.fillRect(x, y, w, h);
+          ctx.shadowColor = this.color;
+          ctx.shadowBlur = 10 * glow;
+          ctx.fillStyle = this.color;
+          ctx.fillRect(x, y, w * this.hp / this.maxHp, h);
+          // phase thresholds
+          ctx.shadowBlur = 0;
+          ctx.fillStyle = '#041219';
+          for (const phase of this.phases.slice(1)) ctx.fillRect(x + w * phase.below - 1, y, 2, h);
+          ctx.fillStyle = '#ffffff';
+          ctx.font = 'bold 12px monospace';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'bottom';
+          ctx.fillText(this.name.toUpperCase(), WIDTH / 2, y - 2);
+          ctx.restore();
+        }
+      }
+
+      // Hazard: a boss shot; touching the paddle costs a life
+      class Hazard {
+        constructor(x, y, vx, vy) {
+          this.x = x; this.y = y;
+          this.vx = vx; this.vy = vy;
+          this.radius = HAZARD_RADIUS;
+          this.alive = true;
+        }
+
+        update(dt) {
+          this.x += this.vx * dt;
+          this.y += this.vy * dt;
+          if (this.y - this.radius > HEIGHT || this.x < -this.radius || this.x > WIDTH + this.radius) this.alive = false;
+        }
+
+        draw(ctx, glow = 1) {
+          ctx.save();
+          ctx.shadowColor = '#ff2d55';
+          ctx.shadowBlur = 14 * glow;
+          ctx.fillStyle = '#ff2d55';
+          ctx.beginPath();
+          ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = '#ffd84d';
+          ctx.beginPath();
+          ctx.arc(this.x, this.y, this.radius / 2.5, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.restore();
+        }
+      }
+
+      /* -------------------------
+         Power-up effects
+         ------------------------- */
+      // Registry of pickups. Each entry declares:
+      //   label, color, glow  capsule letter and colours; `negative` pickups get a warning ring
+      //   name                what it is called when announced
+      //   weight              weight in the default drop table
+      //   duration            seconds the effect lasts; 0 = instant, never listed as active
+      //   stacking            picking it up again while active: 'refresh' restarts the timer,
+      //                       'extend' adds a full duration, 'stack' applies it once more (up
+      //                       to maxStacks) and restarts the timer
+      //   cancels             active effects this one ends when picked up
+      //   ballSpeed           factor on ball speed while active (per stack)
+      //   apply(game, fx)     on pickup and on every extra stack
+      //   tick(game, fx, dt)  every step while active
+      //   expire(game, fx)    when the timer runs out or the level or run ends
+      // `fx` is the game's active entry { type, remaining, stacks }. Paddle effects apply to
+      // every paddle in play.
+      const POWER_UPS = {
+        multi: {
+          label: 'M', name: 'Multi-ball', color: '#ff79d6', glow: '#ff4dd2', weight: 1, duration: 0,
+          apply(game) {
+            // two additional balls beside each ball in play
+            const newBalls = [];
+            for (const b of game.balls) {
+              const speed = clamp(b.speed * 1.02, 260, 920);
+              const angle = b.stuck ? -Math.PI / 2 : Math.atan2(b.vy, b.vx);
+              for (const [dx, da] of [[8, 0.18], [-8, -0.18]]) {
+                const ball = new Ball(b.x + dx, b.y, speed);
+                ball.owner = b.owner;
+                ball.launch(angle + da);
+                newBalls.push(ball);
+              }
+            }
+            game.balls.push(...newBalls);
+          }
+        },
+        paddle: {
+          label: 'P', name: 'Wide paddle', color: '#33e0ff', glow: '#33e0ff', weight: 1, duration: 12, stacking: 'refresh', cancels: ['shrink'],
+          apply(game) { game.paddles.forEach(p => p.resize(p.baseWidth * 1.6)); },
+          expire(game) { game.paddles.forEach(p => p.resize(p.baseWidth)); }
+        },
+        shrink: {
+          label: '-', name: 'Shrink paddle', color: '#ff5a7a', glow: '#ff2d55', negative: true, weight: 0.7, duration: 10, stacking: 'refresh', cancels: ['paddle'],
+          apply(game) { game.paddles.forEach(p => p.resize(p.baseWidth * 0.65)); },
+          expire(game) { game.paddles.forEach(p => p.resize(p.baseWidth)); }
+        },
+        speed: {
+          label: 'S', name: 'Fast ball', color: '#ffd84d', glow: '#ffd84d', weight: 1, duration: 10, stacking: 'stack', maxStacks: 2, cancels: ['slow'],
+          ballSpeed: 1.18
+        },
+        slow: {
+          label: 'Z', name: 'Slow ball', color: '#9ad1ff', glow: '#5fb4ff', weight: 0.8, duration: 10, stacking: 'refresh', cancels: ['speed'],
+          ballSpeed: 0.7
+        },
+        catch: {
+          label: 'C', name: 'Catch', color: '#b58cff', glow: '#b58cff', weight: 1, duration: 15, stacking: 'refresh',
+          apply(game) { game.paddles.forEach(p => { p.sticky = true; }); },
+          tick(game, fx, dt) {
+            // a caught ball launches itself if held too long
+            for (const ball of game.balls) {
+              if (ball.caught && (ball.heldFor += dt) >= CATCH_HOLD) game._launchBall(ball);
+            }
+          },
+          expire(game) {
+            game.paddles.forEach(p => { p.sticky = false; });
+            for (const ball of game.balls) if (ball.caught) game._launchBall(ball);
+          }
+        },
+        laser: {
+          label: 'L', name: 'Laser', color: '#ff5a5a', glow: '#ff3d3d', weight: 0.8, duration: 10, stacking: 'refresh',
+          apply(game) { game.paddles.forEach(p => { p.laser = true; }); },
+          expire(game) { game.paddles.forEach(p => { p.laser = false; }); }
+        },
+        fireball: {
+          label: 'F', name: 'Fireball', color: '#ff9a3d', glow: '#ff3d00', weight: 0.6, duration: 8, stacking: 'refresh',
+          apply(game) { game.fireball = true; },
+          expire(game) { game.fireball = false; }
+        },
+        life: {
+          label: '+', name: 'Extra life', color: '#7cff6a', glow: '#7cff6a', weight: 0.3, duration: 0,
+          apply(game) {
+            game.lives++;
+            game._updateHUD();
+          }
+        },
+        barrier: {
+          label: 'B', name: 'Barrier', color: '#4dffc3', glow: '#4dffc3', weight: 0.7, duration: 12, stacking: 'extend',
+          apply(game) { game.barrier = true; },
+          expire(game) { game.barrier = false; }
+        }
+      };
+
+      // PowerUp: falls down when spawned; collected by the paddle
+      class PowerUp {
+        constructor(x, y, type) {
+          this.x = x; this.y = y; this.type = type;
+          this.radius = 10;
+          this.vy = 90; // falling speed px/s
+          this.alive = true;
+        }
+
+        update(dt) {
+          this.y += this.vy * dt;
+          if (this.y > HEIGHT + 40) this.alive = false;
+        }
+
+        draw(ctx, glow = 1) {
+          const def = POWER_UPS[this.type];
+          ctx.save();
+          ctx.beginPath();
+          ctx.shadowBlur = 14 * glow;
+          ctx.fillStyle = def.color;
+          ctx.shadowColor = def.glow;
+          ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+          ctx.fill();
+          if (def.negative) {
+            // warning ring on pickups that hurt
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = '#ff2d55';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 3, 0, Math.PI * 2);
+            ctx.stroke();
+          }
+          ctx.restore();
+
+          // letter indicator
+          ctx.save();
+          ctx.fillStyle = '#041219';
+          ctx.font = 'bold 12px monospace';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(def.label, this.x, this.y + 1);
+          ctx.restore();
+        }
+      }
+
+      // Projectile: a laser bolt flying straight up; x is its centre line, y its top; owner
+      // is the index of the paddle that fired it
+      class Projectile {
+        constructor(x, y, owner = 0) {
+          this.x = x; this.y = y;
+          this.owner = owner;
+          this.w = 3; this.h = 12;
+          this.vy = -LASER_SPEED;
+          this.alive = true;
+        }
+
+        draw(ctx, glow = 1) {
+          ctx.save();
+          ctx.shadowColor = '#ff3d3d';
+          ctx.shadowBlur = 10 * glow;
+          ctx.fillStyle = '#ffb0b0';
+          ctx.fillRect(this.x - this.w / 2, this.y, this.w, this.h);
+          ctx.restore();
+        }
+      }
+
+      /* -------------------------
+         Brick grid: uniform broad-phase index over the brick field
+         ------------------------- */
+      // Each alive brick is listed in every cell its rect overlaps, so a query only looks at
+      // bricks near the swept path instead of the whole level. Dead bricks are removed.
+      class BrickGrid {
+        constructor(cellSize = GRID_CELL) {
+          this.cellSize = cellSize;
+          this.cols = Math.ceil(WIDTH / cellSize);
+          this.rows = Math.ceil(HEIGHT / cellSize);
+          this.cells = [];
+          for (let i = 0; i < this.cols * this.rows; i++) this.cells.push([]);
+          this.mark = 0; // bumped per query to de-duplicate bricks spanning several cells
+        }
+
+        // inclusive cell range covering a rect, clamped to the grid
+        _range(x0, y0, x1, y1) {
+          const s = this.cellSize;
+          return [
+            clamp(Math.floor(x0 / s), 0, this.cols - 1), clamp(Math.floor(y0 / s), 0, this.rows - 1),
+            clamp(Math.floor(x1 / s), 0, this.cols - 1), clamp(Math.floor(y1 / s), 0, this.rows - 1)
+          ];
+        }
+
+        insert(brick) {
+          const [c0, r0, c1, r1] = this._range(brick.x, brick.y, brick.x + brick.w, brick.y + brick.h);
+          for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) this.cells[r * this.cols + c].push(brick);
+          }
+        }
+
+        remove(brick) {
+          const [c0, r0, c1, r1] = this._range(brick.x, brick.y, brick.x + brick.w, brick.y + brick.h);
+          for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+              const cell = this.cells[r * this.cols + c];
+              const i = cell.indexOf(brick);
+              if (i !== -1) cell.splice(i, 1);
+            }
+          }
+        }
+
+        // bricks whose cells overlap the rect; fills and returns `out` to avoid per-query garbage
+        query(x0, y0, x1, y1, out = []) {
+          out.length = 0;
+          const mark = ++this.mark;
+          const [c0, r0, c1, r1] = this._range(x0, y0, x1, y1);
+          for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+              for (const brick of this.cells[r * this.cols + c]) {
+                if (brick.gridMark === mark) continue;
+                brick.gridMark = mark;
+                out.push(brick);
+              }
+            }
+          }
+          return out;
+        }
+      }
+
+      /* -------------------------
+         Level data: file format, validation & built-in pack
+         ------------------------- */
+      // Levels are plain JSON (documented in LEVELS.md). A pack lists levels; each level is a
+      // grid of characters mapped to brick definitions, with optional per-cell overrides.
+      const LEVEL_FORMAT = 'neon-bricks-levels';
+      const LEVEL_VERSION = 1;
+      const LEVEL_MAX_ROWS = 40;
+      const LEVEL_MAX_COLS = 60;
+      const BRICK_TYPE_NAMES = Object.keys(BRICK_TYPES);
+      const POWER_TYPES = Object.keys(POWER_UPS);
+      const DEFAULT_DROPS = { chance: POWER_CHANCE, table: {} };
+      for (const type of POWER_TYPES) if (POWER_UPS[type].weight > 0) DEFAULT_DROPS.table[type] = POWER_UPS[type].weight;
+      const DEFAULT_BALL_SPEED = 360;
+
+      class LevelFormatError extends Error {
+        constructor(message) {
+          super(message);
+          this.name = 'LevelFormatError';
+        }
+      }
+
+      // pixel rect of a grid cell; a 6x10 grid reproduces the classic brick size and spacing
+      function cellRect(row, col, rows, cols) {
+        const w = Math.floor((WIDTH - 62 - 2 * (cols - 1)) / cols);
+        const rowStep = Math.min(BRICK_H + 6, Math.floor(448 / rows));
+        const h = rowStep >= BRICK_H + 6 ? BRICK_H : rowStep - 2;
+        return { x: 40 + col * (w + 2), y: 60 + row * rowStep, w, h };
+      }
+
+      function isColor(v) { return typeof v === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v); }
+      function isPositiveInt(v) { return Number.isInteger(v) && v > 0; }
+
+      function validateDrops(drops, where) {
+        if (drops === undefined) return;
+        if (!drops || typeof drops !== 'object') throw new LevelFormatError(`${where}: drops must be an object`);
+        if (drops.chance !== undefined && !(typeof drops.chance === 'number' && drops.chance >= 0 && drops.chance <= 1)) {
+          throw new LevelFormatError(`${where}.chance: must be a number between 0 and 1`);
+        }
+        if (drops.table !== undefined) {
+          if (!drops.table || typeof drops.table !== 'object') throw new LevelFormatError(`${where}.table: must be an object of weights`);
+          for (const [type, weight] of Object.entries(drops.table)) {
+            if (!POWER_TYPES.includes(type)) throw new LevelFormatError(`${where}.table: unknown power-up "${type}" (expected one of ${POWER_TYPES.join(', ')})`);
+            if (!(typeof weight === 'number' && weight >= 0)) throw new LevelFormatError(`${where}.table.${type}: weight must be a non-negative number`);
+          }
+        }
+      }
+
+      function validateBoss(boss, where) {
+        if (!boss || typeof boss !== 'object') throw new LevelFormatError(`${where}: must be an object`);
+        if (boss.name !== undefined && typeof boss.name !== 'string') throw new LevelFormatError(`${where}.name: must be a string`);
+        if (!(isPositiveInt(boss.hp) && boss.hp <= 1000)) throw new LevelFormatError(`${where}.hp: must be an integer from 1 to 1000`);
+        if (boss.color !== undefined && !isColor(boss.color)) throw new LevelFormatError(`${where}.color: "${boss.color}" is not a #rgb or #rrggbb colour`);
+        const ranges = { width: [40, 400], height: [16, 120], y: [30, 400] };
+        for (const [key, [min, max]] of Object.entries(ranges)) {
+          if (boss[key] !== undefined && !(typeof boss[key] === 'number' && boss[key] >= min && boss[key] <= max)) {
+            throw new LevelFormatError(`${where}.${key}: must be between ${min} and ${max} px`);
+          }
+        }
+        if (boss.score !== undefined && !(Number.isInteger(boss.score) && boss.score >= 0)) {
+          throw new LevelFormatError(`${where}.score: must be a non-negative integer`);
+        }
+        if (boss.phases === undefined) return;
+        if (!Array.isArray(boss.phases) || boss.phases.length === 0) throw new LevelFormatError(`${where}.phases: must be a non-empty array`);
+        boss.phases.forEach((phase, i) => {
+          const w = `${where}.phases[${i}]`;
+          if (!phase || typeof phase !== 'object') throw new LevelFormatError(`${w}: must be an object`);
+          const limit = i === 0 ? 1 : boss.phases[i - 1].below;
+          if (i === 0 && phase.below !== 1) throw new LevelFormatError(`${w}.below: the first phase must start at 1`);
+          if (i > 0 && !(typeof phase.below === 'number' && phase.below > 0 && phase.below < limit)) {
+            throw new LevelFormatError(`${w}.below: must be above 0 and below the previous phase's ${limit}`);
+          }
+          if (!(typeof phase.speed === 'number' && phase.speed >= 0 && phase.speed <= 600)) throw new LevelFormatError(`${w}.speed: must be between 0 and 600 px/s`);
+          if (!(typeof phase.fireEvery === 'number' && phase.fireEvery >= 0.3)) throw new LevelFormatError(`${w}.fireEvery: must be at least 0.3 seconds`);
+          if (!BOSS_ATTACKS.includes(phase.attack)) throw new LevelFormatError(`${w}.attack: expected one of ${BOSS_ATTACKS.join(', ')}`);
+        });
+      }
+
+      // brick definition from the character map or a cell override
+      function validateBrickDef(def, where, partial) {
+        if (!def || typeof def !== 'object') throw new LevelFormatError(`${where}: must be an object`);
+        if (!partial && def.color === undefined) throw new LevelFormatError(`${where}.color: is required`);
+        if (def.color !== undefined && !isColor(def.color)) throw new LevelFormatError(`${where}.color: "${def.color}" is not a #rgb or #rrggbb colour`);
+        if (def.hp !== undefined && !isPositiveInt(def.hp)) throw new LevelFormatError(`${where}.hp: must be a positive integer`);
+        if (def.type !== undefined && !BRICK_TYPE_NAMES.includes(def.type)) {
+          throw new LevelFormatError(`${where}.type: unknown brick type "${def.type}" (expected one of ${BRICK_TYPE_NAMES.join(', ')})`);
+        }
+        validateDrops(def.drops, `${where}.drops`);
+      }
+
+      function validateLevel(level, where, packBricks) {
+        if (!level || typeof level !== 'object') throw new LevelFormatError(`${where}: must be an object`);
+        if (level.name !== undefined && typeof level.name !== 'string') throw new LevelFormatError(`${where}.name: must be a string`);
+        if (level.parTime !== undefined && !(typeof level.parTime === 'number' && level.parTime > 0)) {
+          throw new LevelFormatError(`${where}.parTime: must be a positive number of seconds`);
+        }
+        if (level.ballSpeed !== undefined && !(typeof level.ballSpeed === 'number' && level.ballSpeed >= 120 && level.ballSpeed <= 900)) {
+          throw new LevelFormatError(`${where}.ballSpeed: must be between 120 and 900 px/s`);
+        }
+        if (level.boss !== undefined) validateBoss(level.boss, `${where}.boss`);
+        validateDrops(level.drops, `${where}.drops`);
+        // a boss stage may leave out the brick field entirely
+        if (level.boss !== undefined && level.grid === undefined && level.layout === undefined) return;
+        const grid = level.grid;
+        if (!grid || !isPositiveInt(grid.rows) || !isPositiveInt(grid.cols)) {
+          throw new LevelFormatError(`${where}.grid: must be { "rows": <int>, "cols": <int> }`);
+        }
+        if (grid.rows > LEVEL_MAX_ROWS || grid.cols > LEVEL_MAX_COLS) {
+          throw new LevelFormatError(`${where}.grid: at most ${LEVEL_MAX_ROWS} rows and ${LEVEL_MAX_COLS} cols`);
+        }
+        if (level.bricks !== undefined) {
+          if (!level.bricks || typeof level.bricks !== 'object') throw new LevelFormatError(`${where}.bricks: must be an object`);
+          for (const [ch, def] of Object.entries(level.bricks)) {
+            if (ch.length !== 1 || ch === '.' || ch === ' ') throw new LevelFormatError(`${where}.bricks: key "${ch}" must be a single character other than "." or space`);
+            validateBrickDef(def, `${where}.bricks.${ch}`, false);
+          }
+        }
+        const map = Object.assign({}, packBricks, level.bricks);
+        if (!Array.isArray(level.layout) || level.layout.length !== grid.rows) {
+          throw new LevelFormatError(`${where}.layout: must be an array of ${grid.rows} strings`);
+        }
+        level.layout.forEach((row, r) => {
+          if (typeof row !== 'string' || row.length !== grid.cols) {
+            throw new LevelFormatError(`${where}.layout[${r}]: must be a string of ${grid.cols} characters`);
+          }
+          for (let c = 0; c < row.length; c++) {
+            const ch = row[c];
+            if (ch !== '.' && ch !== ' ' && !map[ch]) throw new LevelFormatError(`${where}.layout[${r}][${c}]: character "${ch}" is not in the brick map`);
+          }
+        });
+        if (level.hp !== undefined) {
+          if (!Array.isArray(level.hp) || level.hp.length !== grid.rows) throw new LevelFormatError(`${where}.hp: must be an array of ${grid.rows} strings`);
+          level.hp.forEach((row, r) => {
+            if (typeof row !== 'string' || row.length !== grid.cols || !/^[.1-9]*$/.test(row)) {
+              throw new LevelFormatError(`${where}.hp[${r}]: must be ${grid.cols} characters of 1-9 or "."`);
+            }
+          });
+        }
+        if (level.cells !== undefined) {
+          if (!Array.isArray(level.cells)) throw new LevelFormatError(`${where}.cells: must be an array`);
+          level.cells.forEach((cell, i) => {
+            const w = `${where}.cells[${i}]`;
+            if (!cell || !Number.isInteger(cell.row) || !Number.isInteger(cell.col) ||
+                cell.row < 0 || cell.row >= grid.rows || cell.col < 0 || cell.col >= grid.cols) {
+              throw new LevelFormatError(`${w}: row/col must be inside the ${grid.rows}x${grid.cols} grid`);
+            }
+            const ch = level.layout[cell.row][cell.col];
+            if (ch === '.' || ch === ' ') throw new LevelFormatError(`${w}: cell ${cell.row},${cell.col} is empty in the layout`);
+            validateBrickDef(cell, w, true);
+          });
+        }
+        if (level.boss === undefined && !levelCells(level, packBricks).some(row => row.some(def => def && BRICK_TYPES[def.type].breakable))) {
+          throw new LevelFormatError(`${where}: needs at least one breakable brick`);
+        }
+      }
+
+      // throws LevelFormatError describing the first problem found
+      function validateLevelPack(pack) {
+        if (!pack || typeof pack !== 'object') throw new LevelFormatError('Level pack must be a JSON object');
+        if (pack.format !== LEVEL_FORMAT) throw new LevelFormatError(`format: expected "${LEVEL_FORMAT}", got "${pack.format}"`);
+        if (pack.version !== LEVEL_VERSION) throw new LevelFormatError(`version: ${pack.version} is not supported (expected ${LEVEL_VERSION})`);
+        if (typeof pack.id !== 'string' || !/^[a-z0-9_-]+$/i.test(pack.id)) throw new LevelFormatError('id: must be a short identifier (letters, digits, - or _)');
+        if (pack.name !== undefined && typeof pack.name !== 'string') throw new LevelFormatError('name: must be a string');
+        if (pack.bricks !== undefined) {
+          if (!pack.bricks || typeof pack.bricks !== 'object') throw new LevelFormatError('bricks: must be an object');
+          for (const [ch, def] of Object.entries(pack.bricks)) {
+            if (ch.length !== 1 || ch === '.' || ch === ' ') throw new LevelFormatError(`bricks: key "${ch}" must be a single character other than "." or space`);
+            validateBrickDef(def, `bricks.${ch}`, false);
+          }
+        }
+        if (!Array.isArray(pack.levels) || pack.levels.length === 0) throw new LevelFormatError('levels: must be a non-empty array');
+        pack.levels.forEach((level, i) => validateLevel(level, `levels[${i}]`, pack.bricks));
+        if (pack.bosses !== undefined) {
+          const bosses = pack.bosses;
+          if (!bosses || typeof bosses !== 'object') throw new LevelFormatError('bosses: must be an object');
+          if (!isPositiveInt(bosses.every)) throw new LevelFormatError('bosses.every: must be a positive integer');
+          if (!Array.isArray(bosses.levels) || bosses.levels.length === 0) throw new LevelFormatError('bosses.levels: must be a non-empty array');
+          bosses.levels.forEach((level, i) => {
+            if (!level || level.boss === undefined) throw new LevelFormatError(`bosses.levels[${i}].boss: is required`);
+            validateLevel(level, `bosses.levels[${i}]`, pack.bricks);
+          });
+        }
+      }
+
+      // the pack's levels in play order, with a boss stage after every `bosses.every` levels
+      // (the last boss repeats if the pack runs out); a campaign with bosses ends on one
+      function campaignStages(pack) {
+        const bosses = pack.bosses;
+        if (!bosses) return pack.levels;
+        const stages = [];
+        let fought = 0;
+        const addBoss = () => stages.push(bosses.levels[Math.min(fought++, bosses.levels.length - 1)]);
+        pack.levels.forEach((level, i) => {
+          stages.push(level);
+          if ((i + 1) % bosses.every === 0) addBoss();
+        });
+        if (pack.levels.length % bosses.every !== 0) addBoss();
+        return stages;
+      }
+
+      // resolve a validated level into a rows x cols grid of brick definitions
+      // ({ color, hp, type, drops } or null for an empty cell)
+      function levelCells(level, packBricks) {
+        if (!level.layout) return []; // boss stage without bricks
+        const map = Object.assign({}, packBricks, level.bricks);
+        const overrides = new Map();
+        for (const cell of level.cells || []) overrides.set(`${cell.row},${cell.col}`, cell);
+        const { rows, cols } = level.grid;
+        const grid = [];
+        for (let r = 0; r < rows; r++) {
+          const row = [];
+          for (let c = 0; c < cols; c++) {
+            const ch = level.layout[r][c];
+            if (ch === '.' || ch === ' ') { row.push(null); continue; }
+            const cell = overrides.get(`${r},${c}`);
+            const def = Object.assign({}, map[ch], cell);
+            // hp precedence: cell override, then the hp grid, then the brick map
+            let hp = map[ch].hp || 1;
+            if (level.hp && level.hp[r][c] !== '.') hp = Number(level.hp[r][c]);
+            if (cell && cell.hp !== undefined) hp = cell.hp;
+            row.push({ color: def.color, hp, type: def.type || 'normal', drops: def.drops || null });
+          }
+          grid.push(row);
+        }
+        return grid;
+      }
+
+      // build fresh Brick objects for one validated level
+      function buildBricks(level, packBricks) {
+        if (!level.layout) return [];
+        const { rows, cols } = level.grid;
+        const cells = levelCells(level, packBricks);
+        const bricks = [];
+        cells.forEach((row, r) => row.forEach((def, c) => {
+          if (!def) return;
+          const rect = cellRect(r, c, rows, cols);
+          const brick = new Brick(rect.x, rect.y, rect.w, rect.h, def.color, def.hp, def.type);
+          brick.drops = def.drops;
+          if (def.type === 'moving') {
+            // slide across the run of empty cells on either side
+            let c0 = c, c1 = c;
+            while (c0 > 0 && !row[c0 - 1]) c0--;
+            while (c1 < cols - 1 && !row[c1 + 1]) c1++;
+            brick.minX = cellRect(r, c0, rows, cols).x;
+            brick.maxX = cellRect(r, c1, rows, cols).x;
+          }
+          brick.row = r;
+          brick.col = c;
+          bricks.push(brick);
+        }));
+        return bricks;
+      }
+
+      // level metadata with defaults filled in
+      function levelInfo(level, n) {
+        return {
+          name: level.name || `Level ${n}`,
+          parTime: level.parTime || 60,
+          ballSpeed: level.ballSpeed || DEFAULT_BALL_SPEED,
+          boss: level.boss || null,
+          powerScale: 1, // factor on power-up durations; deep endless stages shorten them
+          drops: {
+            chance: level.drops && level.drops.chance !== undefined ? level.drops.chance : DEFAULT_DROPS.chance,
+            table: (level.drops && level.drops.table) || DEFAULT_DROPS.table
+          }
+        };
+      }
+
+      // Built-in campaign, in the level file format
+      const BUILTIN_LEVELS = {
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        id: 'builtin',
+        name: 'Neon Bricks',
+        bricks: {
+          p: { color: '#ff4dd2' },
+          b: { color: '#33e0ff' },
+          g: { color: '#7cff6a' },
+          y: { color: '#ffd84d' }
+        },
+        levels: [
+          {
+            name: 'Rainbow', parTime: 45,
+            grid: { rows: 3, cols: 10 },
+            layout: ['pbgypbgypb', 'bgypbgypbg', 'gypbgypbgy']
+          },
+          {
+            name: 'Checkerboard', parTime: 60,
+            grid: { rows: 4, cols: 10 },
+            bricks: { G: { color: '#7cff6a', hp: 2 } },
+            layout: ['GbGbGbGbGb', 'bGbGbGbGbG', 'GbGbGbGbGb', 'bGbGbGbGbG']
+          },
+          {
+            name: 'Diamond Core', parTime: 60,
+            grid: { rows: 5, cols: 10 },
+            bricks: { P: { color: '#ff4dd2', hp: 3 } },
+            layout: ['..pppppp..', '..pppppp..', '..ppPPpp..', '..pppppp..', '..pppppp..']
+          },
+          {
+            name: 'Tiers I', parTime: 90,
+            grid: { rows: 6, cols: 10 },
+            layout: ['bpybpybpyb', 'pybpybpybp', 'ybpybpybpy', 'bpybpybpyb', 'pybpybpybp', 'ybpybpybpy'],
+            hp: ['1122222233', '1222222333', '2222223333', '2222233333', '2222333333', '2223333334']
+          },
+          {
+            name: 'Tiers II', parTime: 110,
+            grid: { rows: 7, cols: 10 },
+            layout: ['bpybpybpyb', 'pybpybpybp', 'ybpybpybpy', 'bpybpybpyb', 'pybpybpybp', 'ybpybpybpy', 'bpybpybpyb'],
+            hp: ['1222222333', '2222223333', '2222233333', '2222333333', '2223333334', '2233333344', '2333333444']
+          },
+          {
+            name: 'Tiers III', parTime: 130,
+            grid: { rows: 8, cols: 10 },
+            layout: ['bpybpybpyb', 'pybpybpybp', 'ybpybpybpy', 'bpybpybpyb', 'pybpybpybp', 'ybpybpybpy', 'bpybpybpyb', 'pybpybpybp'],
+            hp: ['2222223333', '2222233333', '2222333333', '2223333334', '2233333344', '2333333444', '3333334444', '3333344444']
+          }
+        ],
+        bosses: {
+          every: 3,
+          levels: [
+            {
+              name: 'Sentinel', parTime: 90,
+              boss: { name: 'Sentinel', hp: 16, color: '#33e0ff', score: 3000 },
+              grid: { rows: 6, cols: 10 },
+              layout: ['..........', '..........', '..........', '..........', '.y.y..y.y.', '..........'],
+              drops: { chance: 0.5 }
+            },
+            {
+              name: 'Overmind', parTime: 150,
+              boss: {
+                name: 'Overmind', hp: 30, color: '#ff4dd2', width: 200, height: 48, score: 8000,
+                phases: [
+                  { below: 1, speed: 110, fireEvery: 2, attack: 'drop' },
+                  { below: 0.7, speed: 160, fireEvery: 1.6, attack: 'spread' },
+                  { below: 0.4, speed: 210, fireEvery: 1.2, attack: 'aimed' },
+                  { below: 0.15, speed: 260, fireEvery: 0.9, attack: 'spread' }
+                ]
+              },
+              grid: { rows: 6, cols: 10 },
+              bricks: { s: { color: '#8a94a6', type: 'steel' } },
+              layout: ['..........', '..........', '..........', '..........', 's..gggg..s', '..........'],
+              drops: { chance: 0.6 }
+            }
+          ]
+        }
+      };
+      validateLevelPack(BUILTIN_LEVELS);
+
+      /* -------------------------
+         Level Manager: level packs & progression
+         ------------------------- */
+      class LevelManager {
+        // pack: parsed level-pack object; the built-in campaign when omitted
+        constructor(pack = BUILTIN_LEVELS) {
+          this.level = 1;
+          this.loadPack(pack);
+        }
+
+        // validate and install a pack; throws LevelFormatError and keeps the current pack on failure
+        loadPack(pack) {
+          validateLevelPack(pack);
+          this.pack = pack;
+          this.levels = campaignStages(pack); // stages in play order, boss stages included
+        }
+
+        useBuiltin() {
+          this.loadPack(BUILTIN_LEVELS);
+        }
+
+        get isBuiltin() { return this.pack === BUILTIN_LEVELS; }
+
+        // parse a level file's text; JSON errors surface as LevelFormatError too
+        static parse(text) {
+          try {
+            return JSON.parse(text);
+          } catch (e) {
+            throw new LevelFormatError(`Level file is not valid JSON (${e.message})`);
+          }
+        }
+
+        // metadata with defaults filled in
+        getLevel(n) {
+          return levelInfo(this.levels[n - 1], n);
+        }
+
+        getBricksForLevel(n) {
+          return buildBricks(this.levels[n - 1], this.pack.bricks);
+        }
+
+        maxLevel() { return this.levels.length; }
+      }
+
+      /* -------------------------
+         Endless mode: procedural stages
+         ------------------------- */
+      // An endless run has no last stage: stage n (its depth) is generated from the run's seed
+      // and n alone, so a seed always gives the same stages and saves and replays need nothing
+      // more. Fields are mirrored left to right and get bigger, tougher and faster with depth.
+      const ENDLESS_BRICKS = {
+        a: { color: '#ff4dd2' }, b: { color: '#33e0ff' }, c: { color: '#7cff6a' },
+        d: { color: '#ffd84d' }, e: { color: '#b58cff' }, f: { color: '#ff9a3d' },
+        s: { color: '#8a94a6', type: 'steel' },
+        x: { color: '#ff5a3d', type: 'explosive' },
+        m: { color: '#4dffc3', type: 'moving' },
+        r: { color: '#7cff6a', type: 'regen' },
+        h: { color: '#ffffff', type: 'hidden' }
+      };
+      const ENDLESS_COLORS = 'abcdef'; // normal bricks, one colour per row
+      const ENDLESS_TRIES = 8; // candidates drawn before falling back to a full field without steel
+
+      // which cells of the left half hold a brick; c counts from the left wall, and the right
+      // half mirrors it
+      const ENDLESS_PATTERNS = {
+        full: () => true,
+        checker: (r, c) => (r + c) % 2 === 0,
+        stripes: r => r % 2 === 0,
+        columns: (r, c) => c % 2 === 1,
+        pyramid: (r, c, rows, half) => c >= half - 1 - Math.floor(r * half / rows), // widens downwards
+        rings: (r, c, rows) => Math.min(r, rows - 1 - r, c) % 2 === 0,
+        scatter: (r, c, rows, half, rng) => rng.next() < 0.7
+      };
+      const ENDLESS_PATTERN_NAMES = Object.keys(ENDLESS_PATTERNS);
+
+      // difficulty at a depth: field size, average hp per brick, ball speed, the drop chance
+      // (below POWER_CHANCE) and the factor on power-up durations
+      function endlessScaling(depth) {
+        return {
+          rows: Math.min(4 + Math.floor((depth - 1) / 2), 12),
+          cols: depth < 8 ? 10 : depth < 16 ? 12 : 14,
+          hpPerBrick: Math.min(1 + 0.25 * (depth - 1), 6),
+          ballSpeed: Math.min(DEFAULT_BALL_SPEED + 15 * (depth - 1), 660),
+          dropChance: Math.round(POWER_CHANCE * Math.max(0.35, 1 - 0.06 * depth) * 1000) / 1000,
+          powerScale: Math.max(0.4, 1 - 0.05 * depth)
+        };
+      }
+
+      // relative weight of each brick type at a depth; special types come in one by one
+      function endlessTypeWeights(depth) {
+        return {
+          normal: 1,
+          explosive: depth >= 2 ? Math.min(0.12, 0.03 * (depth - 1)) : 0,
+          steel: depth >= 3 ? Math.min(0.15, 0.03 * (depth - 2)) : 0,
+          regen: depth >= 4 ? Math.min(0.12, 0.02 * (depth - 3)) : 0,
+          hidden: depth >= 5 ? Math.min(0.12, 0.02 * (depth - 4)) : 0
+        };
+      }
+
+      // true when the level has a breakable brick and the ball can get at every one: steel
+      // never breaks, so a brick it walls in could never be cleared. The ball passes round the
+      // sides and over the top of the field, so cells on its edge are reachable from outside.
+      function isLevelClearable(level, packBricks = {}) {
+        const cells = levelCells(level, packBricks);
+        if (!cells.length) return false;
+        const rows = cells.length, cols = cells[0].length;
+        const breakable = (r, c) => !!cells[r][c] && BRICK_TYPES[cells[r][c].type].breakable;
+        const open = (r, c) => !cells[r][c] || breakable(r, c);
+        const seen = cells.map(row => row.map(() => false));
+        const todo = [];
+        const visit = (r, c) => {
+          if (r < 0 || r >= rows || c < 0 || c >= cols || seen[r][c] || !open(r, c)) return;
+          seen[r][c] = true;
+          todo.push([r, c]);
+        };
+        for (let r = 0; r < rows; r++) { visit(r, 0); visit(r, cols - 1); }
+        for (let c = 0; c < cols; c++) { visit(0, c); visit(rows - 1, c); }
+        while (todo.length) {
+          const [r, c] = todo.pop();
+          visit(r + 1, c); visit(r - 1, c); visit(r, c + 1); visit(r, c - 1);
+        }
+        let any = false;
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < cols; c++) {
+            if (!breakable(r, c)) continue;
+            if (!seen[r][c]) return false;
+            any = true;
+          }
+        }
+        return any;
+      }
+
+      // one candidate field: a mirrored pattern, brick types drawn by depth, a row of moving
+      // bricks now and then, and the hp budget spread over mirrored pairs. `plain` leaves out
+      // steel and fills every cell, which is always clearable.
+      function endlessCandidate(rng, depth, plain) {
+        const scale = endlessScaling(depth);
+        const { rows, cols } = scale;
+        const half = cols / 2;
+        const pattern = ENDLESS_PATTERNS[plain ? 'full' : ENDLESS_PATTERN_NAMES[Math.floor(rng.next() * ENDLESS_PATTERN_NAMES.length)]];
+        const weights = endlessTypeWeights(depth);
+        if (plain) weights.steel = 0;
+        const chars = { normal: null, steel: 's', explosive: 'x', regen: 'r', hidden: 'h' };
+        const shift = Math.floor(rng.next() * ENDLESS_COLORS.length);
+        // left half, [row][col] of brick characters ('.' empty) and hp
+        const layout = [], hp = [];
+        for (let r = 0; r < rows; r++) {
+          const row = [], rowHp = [];
+          for (let c = 0; c < half; c++) {
+            const type = pattern(r, c, rows, half, rng) ? weightedChoice(rng, weights) : null;
+            row.push(type ? chars[type] || ENDLESS_COLORS[(r + shift) % ENDLESS_COLORS.length] : '.');
+            rowHp.push(type && type !== 'steel' ? 1 : 0);
+          }
+          layout.push(row);
+          hp.push(rowHp);
+        }
+        // moving bricks slide between the wall and a pair of bricks in the middle of their row
+        if (depth >= 6 && rows > 2 && rng.next() < 0.5) {
+          const r = 1 + Math.floor(rng.next() * (rows - 2));
+          layout[r] = layout[r].map((ch, c) => (c === 0 ? 'm' : c === half - 1 ? ENDLESS_COLORS[(r + shift) % ENDLESS_COLORS.length] : '.'));
+          hp[r] = hp[r].map((v, c) => (c === 0 || c === half - 1 ? 1 : 0));
+        }
+        // spend the hp budget one mirrored pair at a time (hp digits stop at 9)
+        const spots = [];
+        hp.forEach((row, r) => row.forEach((v, c) => { if (v) spots.push([r, c]); }));
+        let extra = Math.round(spots.length * (scale.hpPerBrick - 1));
+        while (extra > 0 && spots.length) {
+          const i = Math.floor(rng.next() * spots.length);
+          const [r, c] = spots[i];
+          if (++hp[r][c] === 9) spots.splice(i, 1);
+          extra--;
+        }
+        const mirror = row => row.concat(row.slice().reverse()).join('');
+        const hpRows = hp.map(row => mirror(row.map(v => (v ? String(v) : '.'))));
+        const totalHp = hp.reduce((sum, row) => row.reduce((s, v) => s + v, sum), 0) * 2;
+        return {
+          name: `Depth ${depth}`,
+          parTime: Math.round(30 + totalHp * 0.6),
+          ballSpeed: scale.ballSpeed,
+          grid: { rows, cols },
+          layout: layout.map(mirror),
+          hp: hpRows,
+          drops: { chance: scale.dropChance }
+        };
+      }
+
+      // stage `depth` of the endless run with this seed, in the level file format
+      function generateLevel(seed, depth) {
+        for (let attempt = 0; ; attempt++) {
+          const rng = new Rng((seed ^ Math.imul(depth, 0x9E3779B1) ^ Math.imul(attempt + 1, 0x85EBCA6B)) >>> 0);
+          const level = endlessCandidate(rng, depth, attempt >= ENDLESS_TRIES);
+          level.bricks = ENDLESS_BRICKS;
+          if (!isLevelClearable(level)) continue;
+          validateLevel(level, level.name, {});
+          return level;
+        }
+      }
+
+      // the stages of an endless run, read like a LevelManager's
+      class EndlessLevels {
+        constructor(seed) {
+          this.seed = seed >>> 0;
+          this.pack = { id: 'endless', name: 'Endless' };
+          this.levels = new Map(); // depth -> generated level
+        }
+
+        level(depth) {
+          if (!this.levels.has(depth)) this.levels.set(depth, generateLevel(this.seed, depth));
+          return this.levels.get(depth);
+        }
+
+        getLevel(n) {
+          const info = levelInfo(this.level(n), n);
+          info.powerScale = endlessScaling(n).powerScale;
+          return info;
+        }
+
+        getBricksForLevel(n) {
+          return buildBricks(this.level(n), {});
+        }
+
+        maxLevel() { return Infinity; }
+      }
+
+      /* -------------------------
+         Daily challenge: the day's seed and modifiers
+         ------------------------- */
+      // Everyone who plays on the same local date gets the same seed, so the same generated
+      // stages, and the same modifiers, which are drawn from that seed.
+      const DAILY_STAGES = 5; // a daily run is the first stages of the day's endless run
+      const DAILY_MODIFIER_COUNT = 2;
+      const MAX_BALL_SPEED = 900; // px/s, as the level format allows
+
+      // Registry of daily modifiers. Each entry declares a label and any of:
+      //   lives        lives the run starts with
+      //   ballSpeed    factor on every stage's starting ball speed (up to MAX_BALL_SPEED)
+      //   dropChance   factor on the drop chance
+      //   noDrops      power-ups taken out of the drop table
+      const DAILY_MODIFIERS = {
+        oneLife: { label: 'One life', lives: 1 },
+        noPaddlePowerUps: { label: 'No paddle power-ups', noDrops: ['paddle', 'shrink', 'catch', 'laser'] },
+        doubleSpeed: { label: 'Double speed', ballSpeed: 2 },
+        drought: { label: 'Drought', dropChance: 0.5 }
+      };
+
+      // a date's local calendar day as YYYY-MM-DD
+      function localDate(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+      }
+
+      // seed of a day's challenge (FNV-1a of its YYYY-MM-DD)
+      function dailySeed(day) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < day.length; i++) h = Math.imul(h ^ day.charCodeAt(i), 0x01000193);
+        return h >>> 0;
+      }
+
+      // names of the modifiers (keys of DAILY_MODIFIERS) of the daily run with this seed
+      function dailyModifiers(seed) {
+        const rng = new Rng((seed ^ 0x5BD1E995) >>> 0);
+        const weights = {};
+        for (const name of Object.keys(DAILY_MODIFIERS)) weights[name] = 1;
+        const picked = [];
+        while (picked.length < DAILY_MODIFIER_COUNT) {
+          const name = weightedChoice(rng, weights);
+          weights[name] = 0;
+          picked.push(name);
+        }
+        return picked;
+      }
+
+      // the stages of a daily run: the day's first endless stages with its modifiers applied
+      class DailyLevels extends EndlessLevels {
+        constructor(seed) {
+          super(seed);
+          this.pack = { id: 'daily', name: 'Daily Challenge' };
+          this.modifiers = dailyModifiers(this.seed);
+          for (const name of this.modifiers) {
+            if (DAILY_MODIFIERS[name].lives) this.lives = DAILY_MODIFIERS[name].lives;
+          }
+        }
+
+        getLevel(n) {
+          const info = super.getLevel(n);
+          const table = Object.assign({}, info.drops.table);
+          for (const name of this.modifiers) {
+            const mod = DAILY_MODIFIERS[name];
+            if (mod.ballSpeed) info.ballSpeed = Math.min(info.ballSpeed * mod.ballSpeed, MAX_BALL_SPEED);
+            if (mod.dropChance) info.drops.chance *= mod.dropChance;
+            for (const type of mod.noDrops || []) delete table[type];
+          }
+          info.drops.table = table;
+          return info;
+        }
+
+        maxLevel() { return DAILY_STAGES; }
+      }
+
+      /* -------------------------
+         Survival: the field comes down
+         ------------------------- */
+      // Rows of bricks descend toward the paddle on a timer, a new row coming in at the top
+      // each time, and the run ends when one reaches PADDLE_Y.
+      const SURVIVAL_START_ROWS = 4;
+      const SURVIVAL_COLS = 10;
+      const SURVIVAL_INTERVAL = 8; // seconds before the first descent
+      const SURVIVAL_MIN_INTERVAL = 3;
+      const SURVIVAL_SPEEDUP = 0.2; // seconds the interval loses with every descent
+      const SURVIVAL_ROW_STEP = BRICK_H + 6; // px the field moves per descent: one row of the classic grid
+
+      function survivalInterval(descents) {
+        return Math.max(SURVIVAL_MIN_INTERVAL, SURVIVAL_INTERVAL - SURVIVAL_SPEEDUP * descents);
+      }
+
+      // the one stage of a survival run. Row k is drawn from the seed and k alone, so the
+      // field after any number of descents can be rebuilt and a save needs only that number.
+      class SurvivalLevels {
+        constructor(seed) {
+          this.seed = seed >>> 0;
+          this.pack = { id: 'survival', name: 'Survival' };
+        }
+
+        // bricks of row k, placed at the top of the field; later rows are tougher
+        row(k) {
+          const rng = new Rng((this.seed ^ Math.imul(k + 1, 0x9E3779B1)) >>> 0);
+          const color = ENDLESS_BRICKS[ENDLESS_COLORS[k % ENDLESS_COLORS.length]].color;
+          const hp = 1 + Math.floor(k / 8);
+          const bricks = [];
+          for (let c = 0; c < SURVIVAL_COLS; c++) {
+            const roll = rng.next();
+            if (roll < 0.15) continue; // a gap
+            const rect = cellRect(0, c, 1, SURVIVAL_COLS);
+            bricks.push(roll > 0.95
+              ? new Brick(rect.x, rect.y, rect.w, rect.h, ENDLESS_BRICKS.x.color, hp, 'explosive')
+              : new Brick(rect.x, rect.y, rect.w, rect.h, color, hp));
+          }
+          return bricks;
+        }
+
+        getLevel(n) {
+          return levelInfo({ name: 'Survival' }, n);
+        }
+
+        // the field after the descents counted in `state` (the run's modeState), dead bricks
+        // included so that saved bricks line up by index
+        getBricksForLevel(n, state) {
+          const rows = SURVIVAL_START_ROWS + (state ? state.descents : 0);
+          const bricks = [];
+          for (let k = 0; k < rows; k++) {
+            for (const b of bricks) b.y += SURVIVAL_ROW_STEP;
+            bricks.push(...this.row(k));
+          }
+          return bricks;
+        }
+
+        maxLevel() { return 1; }
+      }
+
+      // move the field down a row and bring the next row in at the top; a ball the field
+      // comes down on is put back below it. Ends the run once a brick reaches PADDLE_Y.
+      function lowerField(game) {
+        const state = game.modeState;
+        state.descents++;
+        state.timer = survivalInterval(state.descents);
+        for (const b of game.bricks) {
+          if (b.alive) game.brickGrid.remove(b);
+          b.y += SURVIVAL_ROW_STEP;
+          if (b.alive) game.brickGrid.insert(b);
+        }
+        for (const b of game.stages.row(SURVIVAL_START_ROWS + state.descents - 1)) {
+          game.bricks.push(b);
+          game.brickGrid.insert(b);
+          game.bricksRemaining++;
+        }
+        game.brickVersion++;
+        for (const ball of game.balls) {
+          for (let i = 0; i < SURVIVAL_START_ROWS + state.descents; i++) {
+            const r = ball.radius;
+            const hit = game.brickGrid.query(ball.x - r, ball.y - r, ball.x + r, ball.y + r, [])
+              .find(b => b.alive && circleRectCollision(ball.x, ball.y, r, b.x, b.y, b.w, b.h));
+            if (!hit) break;
+            ball.y = hit.y + hit.h + r;
+            ball.vy = Math.abs(ball.vy);
+          }
+        }
+        if (game.bricks.some(b => b.alive && b.y + b.h >= PADDLE_Y)) game.state = STATE.GAME_OVER;
+        game._updateHUD();
+      }
+
+      /* -------------------------
+         Time attack: a countdown over the campaign
+         ------------------------- */
+      const TIME_ATTACK_START = 90; // seconds on the clock at the start
+      const TIME_PER_BRICK = 1; // seconds a destroyed brick adds
+      const TIME_PER_BOSS = 20; // seconds a defeated boss adds
+
+      /* -------------------------
+         Mode rules
+         ------------------------- */
+      // Registry of game modes. The core loop (Game.update, the level flow, saves and replays)
+      // is shared; each mode declares how it differs through any of:
+      //   players             players on the field (one, or two in the two-player modes)
+      //   seed()              seed for a new run (random when not declared)
+      //   stages(seed)        generated stages, read like a LevelManager, instead of the pack
+      //   state()             per-run state, kept as game.modeState and saved with the run
+      //   validState(state)   true if a saved modeState is usable
+      //   brick(game, brick)  a brick (or the boss) was destroyed
+      //   cleared(game)       the level's last breakable brick or its boss went; return true
+      //                       to keep playing instead of completing the level
+      //   update(game, dt)    every playing step after the core update; may end the run
+      // Turn-taking and the split field of the two-player modes live in Game itself.
+      const MODE_RULES = {
+        classic: { players: 1 },
+        alternate: { players: 2 },
+        coop: { players: 2 },
+        endless: { players: 1, stages: seed => new EndlessLevels(seed) },
+        daily: {
+          players: 1,
+          seed: () => dailySeed(localDate()),
+          stages: seed => new DailyLevels(seed)
+        },
+        timeattack: {
+          players: 1,
+          // timeLeft: seconds on the clock; splits: seconds each cleared level took
+          state: () => ({ timeLeft: TIME_ATTACK_START, splits: [] }),
+          validState: s => typeof s.timeLeft === 'number' && Array.isArray(s.splits) && s.splits.every(t => typeof t === 'number'),
+          brick(game, brick) {
+            game.modeState.timeLeft += brick === game.boss ? TIME_PER_BOSS : TIME_PER_BRICK;
+          },
+          cleared(game) {
+            game.modeState.splits.push(game.scoring.levelTime);
+            return false;
+          },
+          update(game, dt) {
+            const state = game.modeState;
+            state.timeLeft = Math.max(0, state.timeLeft - dt);
+            if (state.timeLeft > 0) return;
+            game.state = STATE.GAME_OVER;
+            game._updateHUD();
+          }
+        },
+        survival: {
+          players: 1,
+          stages: seed => new SurvivalLevels(seed),
+          // descents: rows the field has come down; timer: seconds to the next descent
+          state: () => ({ descents: 0, timer: survivalInterval(0) }),
+          validState: s => Number.isInteger(s.descents) && s.descents >= 0 && typeof s.timer === 'number',
+          // a cleared field brings the next row straight in
+          cleared(game) {
+            lowerField(game);
+            return true;
+          },
+          update(game, dt) {
+            game.modeState.timer -= dt;
+            if (game.modeState.timer <= 0) lowerField(game);
+          }
+        }
+      };
+      const GAME_MODES = Object.keys(MODE_RULES);
+
+      /* -------------------------
+         Scoring: combo multiplier, level bonuses and score popups
+         ------------------------- */
+      const COMBO_STEP = 5; // bricks destroyed per multiplier step
+      const MAX_MULTIPLIER = 5;
+      const POPUP_LIFE = 0.9; // seconds a score popup floats
+      const POPUP_RISE = 40; // px a popup rises over its life
+      const TIME_BONUS = 50; // per second under the level's parTime
+      const LIFE_BONUS = 500; // per life left
+      const NO_MISS_BONUS = 2000; // level cleared without losing a life
+
+      // Keeps the run's score. Bricks destroyed without a ball touching the paddle build a
+      // combo; every COMBO_STEP of them raise the multiplier applied to brick points.
+      class ScoreKeeper {
+        constructor() {
+          this.score = 0;
+          this.popups = []; // { x, y, text, multiplier, age } floating over the playfield
+          this.beginLevel();
+        }
+
+        // level counters: time played, whether a life was lost, the combo
+        beginLevel() {
+          this.combo = 0;
+          this.levelTime = 0;
+          this.missed = false;
+          this.bonus = null; // last level bonus breakdown, see levelBonus()
+        }
+
+        get multiplier() {
+          return Math.min(MAX_MULTIPLIER, 1 + Math.floor(this.combo / COMBO_STEP));
+        }
+
+        // points for one brick result ('reveal' | 'damage' | 'destroy') using the brick type's
+        // values; a destroyed brick extends the combo first
+        brickHit(values, result, brick) {
+          let points = result === 'reveal' ? values.revealScore || 0 : values.hitScore;
+          if (result === 'destroy') {
+            this.combo++;
+            points += values.destroyScore;
+          }
+          return this.award(points, brick.x + brick.w / 2, brick.y + brick.h / 2);
+        }
+
+        // add points times the multiplier, with a popup at (x, y); returns the points gained
+        award(points, x, y) {
+          if (points <= 0) return 0;
+          const multiplier = this.multiplier;
+          const gained = points * multiplier;
+          this.score += gained;
+          this.popups.push({ x, y, text: `+${gained}`, multiplier, age: 0 });
+          return gained;
+        }
+
+        // a ball touched the paddle; returns true if that broke a combo
+        paddleTouch() {
+          const broke = this.combo > 0;
+          this.combo = 0;
+          return broke;
+        }
+
+        lifeLost() {
+          this.combo = 0;
+          this.missed = true;
+        }
+
+        // end-of-level bonuses, added to the score: time under par, lives left and no miss
+        levelBonus(parTime, lives) {
+          const time = Math.max(0, Math.floor(parTime - this.levelTime)) * TIME_BONUS;
+          const life = lives * LIFE_BONUS;
+          const noMiss = this.missed ? 0 : NO_MISS_BONUS;
+          this.bonus = { time, lives: life, noMiss, total: time + life + noMiss };
+          this.score += this.bonus.total;
+          return this.bonus;
+        }
+
+        update(dt) {
+          this.levelTime += dt;
+          for (let i = this.popups.length - 1; i >= 0; i--) {
+            if ((this.popups[i].age += dt) >= POPUP_LIFE) this.popups.splice(i, 1);
+          }
+        }
+
+        drawPopups(ctx, glow = 1) {
+          ctx.save();
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.shadowBlur = 8 * glow;
+          for (const p of this.popups) {
+            const t = p.age / POPUP_LIFE;
+            const color = p.multiplier > 1 ? '#ffd84d' : '#ffffff';
+            ctx.globalAlpha = 1 - t * t;
+            ctx.fillStyle = color;
+            ctx.shadowColor = color;
+            ctx.font = `bold ${11 + p.multiplier}px monospace`;
+            ctx.fillText(p.text, p.x, p.y - t * POPUP_RISE);
+          }
+          ctx.restore();
+        }
+      }
+
+      /* -------------------------
+         Save games: versioned snapshots of a run in progress
+         ------------------------- */
+      const SAVE_FORMAT = 'neon-bricks-save';
+      const SAVE_VERSION = 3; // 2 added `scoring`, 3 two-player state (version 2 saves still load)
+      // per-entity fields a snapshot keeps; everything else is rebuilt from the level
+      const BRICK_SAVE_FIELDS = ['alive', 'hp', 'x', 'vx', 'revealed', 'regenTimer'];
+      const BOSS_SAVE_FIELDS = ['alive', 'hp', 'x', 'dir', 'phase', 'fireTimer', 'flash'];
+      const PADDLE_SAVE_FIELDS = ['x', 'width', 'sticky', 'laser'];
+      const BALL_SAVE_FIELDS = ['x', 'y', 'vx', 'vy', 'speed', 'stuck', 'caught', 'stickOffset', 'heldFor', 'owner'];
+      const SCORING_SAVE_FIELDS = ['combo', 'levelTime', 'missed', 'bonus'];
+
+      class SaveFormatError extends Error {
+        constructor(message) {
+          super(message);
+          this.name = 'SaveFormatError';
+        }
+      }
+
+      function copyFields(from, fields, to = {}) {
+        for (const key of fields) to[key] = from[key];
+        return to;
+      }
+
+      // true when a saved field's value has the type of the live field it restores: the
+      // flags are booleans, everything else a finite number
+      const SAVED_FLAGS = ['alive', 'revealed', 'sticky', 'laser', 'stuck', 'caught'];
+      function isSavedValue(key, value) {
+        return SAVED_FLAGS.includes(key) ? typeof value === 'boolean' : Number.isFinite(value);
+      }
+
+      // shape checks of single saved entries
+      function isSavedBrick(values) {
+        return Array.isArray(values) && values.length === BRICK_SAVE_FIELDS.length &&
+          BRICK_SAVE_FIELDS.every((key, i) => isSavedValue(key, values[i]));
+      }
+
+      function isSavedEntity(entity, fields) {
+        return !!entity && typeof entity === 'object' && fields.every(key => isSavedValue(key, entity[key]));
+      }
+
+      // alternate mode: the turn and both players' runs
+      function validatePlayers(snap) {
+        if (snap.turn !== 0 && snap.turn !== 1) throw new SaveFormatError('Saved game turn must be 0 or 1');
+        if (!Array.isArray(snap.players) || snap.players.length !== 2) throw new SaveFormatError('Saved game players must be an array of 2');
+        snap.players.forEach((p, i) => {
+          if (!p || typeof p !== 'object') throw new SaveFormatError(`Saved game players[${i}] must be an object`);
+          for (const key of ['lives', 'score', 'level']) {
+            if (!Number.isInteger(p[key]) || p[key] < 0) throw new SaveFormatError(`Saved game players[${i}].${key} must be a non-negative integer`);
+          }
+          if (!p.scoring || !Number.isInteger(p.scoring.combo)) throw new SaveFormatError(`Saved game players[${i}] scoring is missing`);
+          if (p.field !== null && !(p.field && Array.isArray(p.field.bricks) && p.field.bricks.every(isSavedBrick) &&
+              (p.field.boss === null || isSavedEntity(p.field.boss, BOSS_SAVE_FIELDS)))) {
+            throw new SaveFormatError(`Saved game players[${i}].field must be null or hold bricks`);
+          }
+        });
+      }
+
+      // the entries of a save's bricks, boss, balls, pickups, bolts, hazards and effects
+      function validateEntries(snap) {
+        const paddles = snap.paddles ? snap.paddles.length : 1;
+        const isOwner = owner => owner === undefined || (Number.isInteger(owner) && owner >= 0 && owner < paddles);
+        snap.bricks.forEach((values, i) => {
+          if (!isSavedBrick(values)) throw new SaveFormatError(`Saved game bricks[${i}] is not a saved brick`);
+        });
+        if (snap.boss !== undefined && snap.boss !== null && !isSavedEntity(snap.boss, BOSS_SAVE_FIELDS)) {
+          throw new SaveFormatError('Saved game boss is not a saved boss');
+        }
+        const ballFields = BALL_SAVE_FIELDS.filter(key => key !== 'owner'); // version 2 balls have no owner
+        snap.balls.forEach((b, i) => {
+          if (!isSavedEntity(b, ballFields) || !isOwner(b.owner)) throw new SaveFormatError(`Saved game balls[${i}] is not a saved ball`);
+        });
+        snap.powerups.forEach((p, i) => {
+          if (!isSavedEntity(p, ['x', 'y'])) throw new SaveFormatError(`Saved game powerups[${i}] is not a saved power-up`);
+          if (!POWER_UPS[p.type]) throw new SaveFormatError(`Saved game has unknown power-up "${p.type}"`);
+        });
+        snap.projectiles.forEach((p, i) => {
+          if (!isSavedEntity(p, ['x', 'y']) || !isOwner(p.owner)) throw new SaveFormatError(`Saved game projectiles[${i}] is not a saved bolt`);
+        });
+        snap.hazards.forEach((h, i) => {
+          if (!isSavedEntity(h, ['x', 'y', 'vx', 'vy'])) throw new SaveFormatError(`Saved game hazards[${i}] is not a saved hazard`);
+        });
+        snap.effects.forEach((fx, i) => {
+          if (!isSavedEntity(fx, ['remaining', 'stacks'])) throw new SaveFormatError(`Saved game effects[${i}] is not a saved effect`);
+          if (!POWER_UPS[fx.type]) throw new SaveFormatError(`Saved game has unknown effect "${fx.type}"`);
+        });
+      }
+
+      // shape check of a parsed save; throws SaveFormatError with a readable reason. Whether it
+      // fits its level pack is checked by Game.restoreSnapshot().
+      function validateSnapshot(snap) {
+        if (!snap || typeof snap !== 'object') throw new SaveFormatError('Saved game must be a JSON object');
+        if (snap.format !== SAVE_FORMAT) throw new SaveFormatError(`Not a Neon Bricks saved game (format "${snap.format}")`);
+        if (snap.version !== 2 && snap.version !== SAVE_VERSION) {
+          throw new SaveFormatError(`Saved game version ${snap.version} is not supported by this build (expected ${SAVE_VERSION})`);
+        }
+        const mode = snap.mode || 'classic';
+        if (!GAME_MODES.includes(mode)) throw new SaveFormatError(`Saved game mode "${snap.mode}" is unknown`);
+        const rules = MODE_RULES[mode];
+        if (rules.state && !(snap.modeState && typeof snap.modeState === 'object' && rules.validState(snap.modeState))) {
+          throw new SaveFormatError(`Saved game modeState does not fit mode "${mode}"`);
+        }
+        for (const key of ['seed', 'rng', 'tick', 'startingLevel', 'currentLevel', 'lives', 'score']) {
+          if (!Number.isInteger(snap[key]) || snap[key] < 0) throw new SaveFormatError(`Saved game ${key} must be a non-negative integer`);
+        }
+        if (snap.playTime !== undefined && !(typeof snap.playTime === 'number' && snap.playTime >= 0)) {
+          throw new SaveFormatError('Saved game playTime must be a non-negative number');
+        }
+        if (snap.assist !== undefined && typeof snap.assist !== 'boolean') throw new SaveFormatError('Saved game assist must be a boolean');
+        if (!Object.values(STATE).includes(snap.state)) throw new SaveFormatError(`Saved game state "${snap.state}" is unknown`);
+        for (const key of ['bricks', 'balls', 'powerups', 'projectiles', 'hazards', 'effects']) {
+          if (!Array.isArray(snap[key])) throw new SaveFormatError(`Saved game ${key} must be an array`);
+        }
+        if (snap.version < 3) {
+          if (!isSavedEntity(snap.paddle, PADDLE_SAVE_FIELDS)) throw new SaveFormatError('Saved game paddle is missing');
+          if (mode !== 'classic') throw new SaveFormatError(`Saved game mode "${mode}" needs version 3`);
+        } else {
+          if (!Array.isArray(snap.paddles) || snap.paddles.length !== (mode === 'coop' ? 2 : 1) ||
+              !snap.paddles.every(p => isSavedEntity(p, PADDLE_SAVE_FIELDS))) {
+            throw new SaveFormatError(`Saved game paddles do not fit mode "${mode}"`);
+          }
+          if (!Array.isArray(snap.credits) || snap.credits.length !== 2 || !snap.credits.every(Number.isInteger)) {
+            throw new SaveFormatError('Saved game credits must be two integers');
+          }
+          if (mode === 'alternate') validatePlayers(snap);
+        }
+        if (!snap.scoring || !Number.isInteger(snap.scoring.combo) || typeof snap.scoring.levelTime !== 'number') {
+          throw new SaveFormatError('Saved game scoring is missing');
+        }
+        validateEntries(snap);
+      }
+
+      /* -------------------------
+         Null adapters (headless defaults)
+         ------------------------- */
+      // Input adapter: any object exposing these fields; a test can script them per step.
+      // pointerDown means the pointer steers the paddle (a held touch or drag, or a mouse in
+      // follow/lock mode), towards pointerX.
+      class NullInput {
+        constructor() {
+          this.left = false;
+          this.right = false;
+          this.launch = false;
+          this.pointerDown = false;
+          this.pointerX = 0;
+          this.axis = 0; // analog paddle control, -1 (full left) to 1 (full right)
+        }
+      }
+
+      // Renderer adapter: draw(game) once per displayed frame, updateHUD(game) on stat changes
+      class NullRenderer {
+        draw() { }
+        updateHUD() { }
+      }
+
+      // Sound adapter: one method per gameplay cue. break(hp, multiplier) gets the hp left on
+      // the brick struck (0 once destroyed) and the combo multiplier, for its pitch.
+      class NullSound {
+        hit() { }
+        break() { }
+        power() { }
+        laser() { }
+      }
+
+      class Game {
+        // options: { seed, level, levels, mode, assist, input, input2, renderer, sound };
+        // `levels` is a level pack (built-in campaign by default), `mode` one of GAME_MODES,
+        // `assist` true for a slower ball and wider paddles, and `input2` the second player's
+        // controls in co-op; adapters omitted fall back to null ones
+        constructor(options = {}) {
+          this.mode = options.mode || 'classic'; // game mode name; high scores are kept per mode
+          this.assist = !!options.assist; // assist mode; change it with setAssist()
+          const seed = options.seed !== undefined ? options.seed : this._freshSeed();
+          this.listeners = {}; // event name -> handlers, see on()
+          this.pendingCommands = []; // UI commands applied at the start of the next step
+          this.state = STATE.READY;
+          this.input = options.input || new NullInput();
+          this.input2 = options.input2 || new NullInput();
+          this.renderer = options.renderer || new NullRenderer();
+          this.sound = options.sound || new NullSound();
+          this.levelManager = new LevelManager(options.levels);
+          this.seed = seed >>> 0;
+          this.rng = new Rng(this.seed);
+          this.generated = this._newStages(); // generated stages of modes that declare them, see stages
+          this.modeState = this.rules.state ? this.rules.state() : null; // see MODE_RULES
+          this.tick = 0; // fixed simulation steps taken this run
+          this.accumulator = 0; // real time not yet consumed by fixed steps
+          this.startingLevel = options.level || 1;
+          this.currentLevel = this.startingLevel;
+          this.brickCandidates = []; // reused BrickGrid query buffer
+          this.scoring = new ScoreKeeper(); // score, combo and level bonuses
+          this.brickVersion = 0; // bumped whenever a brick's look changes, so renderers can cache the field
+          this.playTime = 0; // seconds spent playing this run
+          this._loadLevel(this.currentLevel);
+          this._setUpPaddles(); // this.paddles, one per player on the field, and their balls
+          this.powerups = [];
+          this.projectiles = []; // laser bolts
+          this.laserCooldown = 0; // seconds until the laser can fire again (shared by the paddles)
+          this.hazards = []; // boss shots
+          this.lives = this.stages.lives || START_LIVES;
+          this.credits = [0, 0]; // points each paddle's balls and bolts earned, see playerStats()
+          this.turn = 0; // alternate mode: the player whose turn it is
+          this.players = this._newPlayers();
+          this.pauseFlag = false;
+          this.effects = []; // active timed power-ups { type, remaining, stacks }, see applyPowerUp()
+          this.fireball = false; // balls pierce breakable bricks
+          this.barrier = false; // safety barrier along the bottom
+          this.testLevel = null; // level object being test-played, see startLevel()
+        }
+
+        // subscribe to game events: 'step' (tick, commands) before each simulated step,
+        // 'reset' (game) when a new run begins, 'restore' (game, snapshot) when a saved run
+        // is continued. Feedback events for effects: 'brick' (brick, result of Brick.hit),
+        // 'paddle' (ball) on a paddle bounce or catch, 'pickup' (powerUp), 'lifeLost' (game).
+        on(event, fn) {
+          (this.listeners[event] = this.listeners[event] || []).push(fn);
+          return () => { this.listeners[event] = this.listeners[event].filter(f => f !== fn); };
+        }
+
+        // where the levels come from: the pack, or the mode's generated stages
+        get stages() { return this.generated || this.levelManager; }
+
+        // the mode's entry in MODE_RULES
+        get rules() { return MODE_RULES[this.mode]; }
+
+        get score() { return this.scoring.score; }
+        set score(value) { this.scoring.score = value; }
+
+        // the first player's paddle (the only one outside co-op)
+        get paddle() { return this.paddles[0]; }
+
+        _emit(event, ...args) {
+          const handlers = this.listeners[event];
+          if (handlers) for (const fn of handlers) fn(...args);
+        }
+
+        // queue a UI command ('start' | 'pause' | 'suspend'); it runs at the start of the next
+        // fixed step so that recordings can replay it on exactly the same tick
+        dispatch(command) {
+          this.pendingCommands.push(command);
+        }
+
+        _runCommand(command) {
+          if (command === 'start') {
+            if (this.state === STATE.READY || this.state === STATE.LEVEL_COMPLETE) this.startLevel();
+          } else if (command === 'pause') {
+            if (this.state === STATE.PLAYING || this.state === STATE.PAUSED) this.togglePause();
+          } else if (command === 'suspend') {
+            if (this.state === STATE.PLAYING) this.togglePause();
+          }
+        }
+
+        // pause at once, from outside the frame loop (focus lost, page hidden, a screen opened
+        // over the game); the pause runs as a 'suspend' command on one extra step so that
+        // recordings see it like any other
+        suspend() {
+          if (this.state !== STATE.PLAYING) return;
+          this.dispatch('suspend');
+          this.step();
+        }
+
+        // start a new run; pass a seed (and starting level) to reproduce an earlier one
+        resetGame(seed = this._freshSeed(), level = 1) {
+          this.seed = seed >>> 0;
+          this.rng = new Rng(this.seed);
+          this.generated = this._newStages();
+          this.modeState = this.rules.state ? this.rules.state() : null;
+          this.tick = 0;
+          this.pendingCommands = [];
+          this.startingLevel = level;
+          this.currentLevel = level;
+          this._clearEffects();
+          this.scoring = new ScoreKeeper();
+          this.playTime = 0;
+          this._loadLevel(this.currentLevel);
+          this._setUpPaddles();
+          this.powerups = [];
+          this.projectiles = []; // laser bolts
+          this.laserCooldown = 0; // seconds until the laser can fire again
+          this.hazards = []; // boss shots
+          this.lives = this.stages.lives || START_LIVES;
+          this.credits = [0, 0];
+          this.turn = 0;
+          this.players = this._newPlayers();
+          this.state = STATE.READY;
+          this.testLevel = null;
+          this._updateHUD();
+          this._emit('reset', this);
+        }
+
+        // begin play on the current level; pass a level object (level file format) to play
+        // that layout instead, e.g. the editor's test play (throws LevelFormatError)
+        startLevel(level) {
+          if (level) {
+            validateLevel(level, 'level', {});
+            this.testLevel = level;
+            this.levelInfo = levelInfo(level, this.currentLevel);
+            this._loadBricks(buildBricks(level, {}));
+          } else if (this.testLevel && this.state === STATE.LEVEL_COMPLETE) {
+            // a test level repeats instead of advancing through the pack
+            this._loadBricks(buildBricks(this.testLevel, {}));
+          } else if (this.state === STATE.LEVEL_COMPLETE) {
+            // advance (clearing the last stage ends the run, see update())
+            this.currentLevel++;
+            this._loadLevel(this.currentLevel);
+          }
+          // reset paddle/balls; power-ups do not carry over
+          this._clearEffects();
+          this._setUpPaddles();
+          this.powerups = [];
+          this.projectiles = [];
+          this.laserCooldown = 0;
+          this.hazards = [];
+          this.state = STATE.PLAYING;
+          this._updateHUD();
+        }
+
+        // load level n of the current pack (or endless stage n): metadata plus a fresh set of bricks
+        _loadLevel(n) {
+          this.levelInfo = this.stages.getLevel(n);
+          this._loadBricks(this.stages.getBricksForLevel(n, this.modeState));
+        }
+
+        _newStages() {
+          return this.rules.stages ? this.rules.stages(this.seed) : null;
+        }
+
+        // seed for a new run: random unless the mode picks it (a daily run plays the day's)
+        _freshSeed() {
+          return this.rules.seed ? this.rules.seed() : newSeed();
+        }
+
+        // switch to another level pack (throws LevelFormatError) and start a new run with it
+        loadLevelPack(pack) {
+          this.levelManager.loadPack(pack);
+          this.resetGame();
+        }
+
+        // switch to another game mode (one of GAME_MODES) and start a new run in it
+        setMode(mode) {
+          if (!GAME_MODES.includes(mode)) throw new RangeError(`Unknown game mode "${mode}"`);
+          this.mode = mode;
+          this.resetGame();
+        }
+
+        // switch assist mode on or off and start a new run with it
+        setAssist(assist) {
+          this.assist = !!assist;
+          this.resetGame();
+        }
+
+        // paddles for the mode: co-op splits the field between two, each player keeping to
+        // their half
+        _newPaddles(mode = this.mode, assist = this.assist) {
+          const width = assist ? PADDLE_BASE_WIDTH * ASSIST_PADDLE_WIDTH : PADDLE_BASE_WIDTH;
+          if (mode !== 'coop') return [new Paddle(12, WIDTH - 12, width)];
+          const second = new Paddle(WIDTH / 2 + 4, WIDTH - 12, width);
+          second.color = '#ff4dd2';
+          second.glow = 'rgba(255,77,210,0.28)';
+          return [new Paddle(12, WIDTH / 2 - 4, width), second];
+        }
+
+        // fresh paddles, each with a ball waiting to be served
+        _setUpPaddles() {
+          this.paddles = this._newPaddles();
+          this._serveBalls();
+        }
+
+        _serveBalls() {
+          this.balls = this.paddles.map((paddle, i) => {
+            const ball = new Ball(paddle.x + paddle.width / 2, paddle.y - BALL_RADIUS - 2, this.levelInfo.ballSpeed);
+            ball.attachToPaddle(paddle);
+            ball.owner = i;
+            return ball;
+          });
+        }
+
+        // controls for paddle i: co-op gives the second paddle the second player's input; in
+        // alternate mode the players take turns on the same controls
+        _input(i) {
+          return i === 0 ? this.input : this.input2;
+        }
+
+        /* Alternate mode: each player has a run of their own (lives, score, level and the
+           bricks they left). The game's own fields hold the run of the player whose turn it
+           is; the others wait in this.players as { lives, scoring, level, field, finished },
+           where field is { bricks, boss } in snapshot form. The current player's record is
+           stale until the turn passes. */
+        _newPlayers() {
+          if (this.mode !== 'alternate') return [];
+          const lives = this.stages.lives || START_LIVES;
+          return [0, 1].map(() => ({ lives, scoring: new ScoreKeeper(), level: this.startingLevel, field: null, finished: false }));
+        }
+
+        // index of the other player if the turn can pass to them, else -1
+        _waitingPlayer() {
+          if (this.mode !== 'alternate') return -1;
+          const other = 1 - this.turn;
+          return this.players[other].lives > 0 && !this.players[other].finished ? other : -1;
+        }
+
+        // park the current player's run and bring back player `next`'s where they left it
+        _passTurn(next) {
+          this._clearEffects();
+          this.scoring.popups.length = 0;
+          Object.assign(this.players[this.turn], {
+            lives: this.lives,
+            scoring: this.scoring,
+            level: this.currentLevel,
+            field: this._fieldState()
+          });
+          this.turn = next;
+          const player = this.players[next];
+          const counters = copyFields(player.scoring, SCORING_SAVE_FIELDS);
+          this.lives = player.lives;
+          this.scoring = player.scoring;
+          this.currentLevel = player.level;
+          if (this.testLevel) {
+            this.levelInfo = levelInfo(this.testLevel, player.level);
+            this._loadBricks(buildBricks(this.testLevel, {}));
+          } else {
+            this._loadLevel(player.level);
+          }
+          if (player.field) {
+            this._restoreField(player.field);
+            copyFields(counters, SCORING_SAVE_FIELDS, this.scoring);
+          }
+          this._setUpPaddles();
+          this.powerups = [];
+          this.projectiles = [];
+          this.laserCooldown = 0;
+          this.hazards = [];
+          this.state = STATE.READY;
+        }
+
+        // per-brick and boss state of the level in play, in snapshot form
+        _fieldState() {
+          return {
+            bricks: this.bricks.map(b => BRICK_SAVE_FIELDS.map(key => b[key])),
+            boss: this.boss ? copyFields(this.boss, BOSS_SAVE_FIELDS) : null
+          };
+        }
+
+        // put the loaded level's bricks and boss back in a saved state (from _fieldState())
+        _restoreField(field) {
+          field.bricks.forEach((values, i) => BRICK_SAVE_FIELDS.forEach((key, j) => { this.bricks[i][key] = values[j]; }));
+          this._loadBricks(this.bricks);
+          if (this.boss) {
+            this.brickGrid.remove(this.boss);
+            copyFields(field.boss, BOSS_SAVE_FIELDS, this.boss);
+            if (this.boss.alive) this.brickGrid.insert(this.boss);
+          }
+        }
+
+        // standings for the HUD and high scores, one per player: { score, lives, level,
+        // active, finished }. Co-op players share lives and level; their score is what their
+        // own balls and bolts earned.
+        playerStats() {
+          if (this.mode === 'alternate') {
+            return this.players.map((p, i) => (i === this.turn
+              ? { score: this.score, lives: this.lives, level: this.currentLevel, active: true, finished: p.finished }
+              : { score: p.scoring.score, lives: p.lives, level: p.level, active: false, finished: p.finished }));
+          }
+          if (this.mode === 'coop') {
+            return this.credits.map(score => ({ score, lives: this.lives, level: this.currentLevel, active: true, finished: false }));
+          }
+          return [{ score: this.score, lives: this.lives, level: this.currentLevel, active: true, finished: false }];
+        }
+
+        // install a level's bricks (and the boss of a boss stage: a fresh one from levelInfo
+        // unless a restored one is given) and rebuild the broad-phase index and alive counter
+        _loadBricks(bricks, boss = this.levelInfo.boss ? new Boss(this.levelInfo.boss) : null) {
+          this.bricks = bricks;
+          this.brickVersion++;
+          this.brickGrid = new BrickGrid();
+          this.bricksRemaining = 0; // breakable bricks still alive
+          this.activeBricks = []; // bricks with per-step behaviour (moving, regen)
+          for (const brick of bricks) {
+            if (!brick.alive) continue;
+            this.brickGrid.insert(brick);
+            if (brick.breakable) this.bricksRemaining++;
+            if (brick.type === 'moving' || brick.type === 'regen') this.activeBricks.push(brick);
+          }
+          this.boss = boss;
+          if (boss && boss.alive) this.brickGrid.insert(boss);
+          this.scoring.beginLevel();
+        }
+
+        togglePause() {
+          if (this.state === STATE.PLAYING) this.state = STATE.PAUSED;
+          else if (this.state === STATE.PAUSED) this.state = STATE.PLAYING;
+          this._updateHUD();
+        }
+
+        _updateHUD() {
+          this.renderer.updateHUD(this);
+        }
+
+        // feed real elapsed time (seconds); runs as many fixed steps as it covers
+        advance(frameDt) {
+          if (frameDt > MAX_FRAME_DT) frameDt = MAX_FRAME_DT; // clamp
+
+          // fixed-timestep accumulator: the simulation always advances in FIXED_DT steps,
+          // independent of the display refresh rate
+          this.accumulator += frameDt;
+          while (this.accumulator >= FIXED_DT) {
+            this.step();
+            this.accumulator -= FIXED_DT;
+          }
+        }
+
+        // advance the simulation by exactly one fixed step
+        step() {
+          this.tick++;
+          const commands = this.pendingCommands;
+          this.pendingCommands = [];
+          this._emit('step', this.tick, commands);
+          for (const command of commands) this._runCommand(command);
+          if (this.state === STATE.PLAYING) {
+            this.update(FIXED_DT);
+          }
+        }
+
+        update(dt) {
+          this.playTime += dt;
+          // Paddle movement (keyboard or touch)
+          for (let i = 0; i < this.paddles.length; i++) this.paddles[i].update(dt, this._input(i));
+
+          // moving/regenerating bricks; a brick that moves is re-indexed in the grid
+          for (const brick of this.activeBricks) {
+            if (!brick.alive) continue;
+            if (brick.type === 'moving') this.brickGrid.remove(brick);
+            const hp = brick.hp;
+            if (brick.update(dt)) this.brickGrid.insert(brick);
+            if (brick.hp !== hp) this.brickVersion++;
+          }
+          if (this.boss && this.boss.alive) {
+            this.brickGrid.remove(this.boss);
+            const attack = this.boss.update(dt);
+            this.brickGrid.insert(this.boss);
+            if (attack) this._bossAttack(attack);
+          }
+
+          // Ball updates; launch and released are bit masks over the paddles: whose launch
+          // input was down as the step began, and who let a ball go with it
+          let launch = 0, released = 0;
+          for (let i = 0; i < this.paddles.length; i++) if (this._input(i).launch) launch |= 1 << i;
+          for (const ball of this.balls) {
+            if (ball.stuck) {
+              // attach to paddle while stuck
+              const paddle = this.paddles[ball.owner];
+              const half = paddle.width / 2;
+              ball.x = paddle.x + half + clamp(ball.stickOffset, -half, half);
+              ball.y = paddle.y - ball.radius - 2;
+              // launch if player pressed launch button
+              if (launch & (1 << ball.owner)) {
+                this._launchBall(ball);
+                this._input(ball.owner).launch = false;
+                released |= 1 << ball.owner;
+              }
+            } else {
+              this._moveBall(ball, dt);
+            }
+          }
+
+          // laser: the launch input fires when it has no ball to release; holding it keeps firing
+          this.laserCooldown = Math.max(0, this.laserCooldown - dt);
+          for (let i = 0; i < this.paddles.length; i++) {
+            if ((launch & ~released & (1 << i)) && this.paddles[i].laser) this._fireLaser(i);
+          }
+          this._updateProjectiles(dt);
+
+          // update power-ups
+          for (const p of this.powerups) p.update(dt);
+
+          // collect power-ups with paddle
+          for (let i = this.powerups.length - 1; i >= 0; i--) {
+            const p = this.powerups[i];
+            if (this._touchesPaddle(p.x, p.y, p.radius)) {
+              this.applyPowerUp(p.type);
+              p.alive = false;
+              this.sound.power();
+              this._emit('pickup', p);
+              this.powerups.splice(i, 1);
+            } else if (!p.alive) {
+              this.powerups.splice(i, 1);
+            }
+          }
+
+          // boss shots: touching a paddle costs a life
+          for (let i = this.hazards.length - 1; i >= 0; i--) {
+            const h = this.hazards[i];
+            h.update(dt);
+            if (this._touchesPaddle(h.x, h.y, h.radius)) {
+              this.balls = [];
+              this.hazards = [];
+              this.projectiles = [];
+              break;
+            }
+            if (!h.alive) this.hazards.splice(i, 1);
+          }
+
+          // balls falling below screen -> lose ball
+          for (let i = this.balls.length - 1; i >= 0; i--) {
+            const b = this.balls[i];
+            if (b.y - b.radius > HEIGHT + 8) {
+              this.balls.splice(i, 1);
+            }
+          }
+
+          // if no balls, lose life and reset to ready/attach ball to paddle or game over; in
+          // alternate mode the turn passes to the other player while they are still in
+          if (this.balls.length === 0) {
+            this.lives--;
+            this.scoring.lifeLost();
+            this._emit('lifeLost', this);
+            const next = this._waitingPlayer();
+            if (next >= 0) {
+              this._passTurn(next);
+            } else if (this.lives <= 0) {
+              this.state = STATE.GAME_OVER;
+            } else {
+              this._serveBalls();
+              this.state = STATE.READY;
+              // small pause briefly could be added
+            }
+            this._updateHUD();
+          }
+
+          // check level complete: a boss stage ends with the boss, others with the last
+          // breakable brick; the last stage of the campaign ends the run (in alternate mode,
+          // that player's run: the other plays on if they can). The mode may play on instead.
+          const cleared = this.state === STATE.PLAYING && (this.boss ? !this.boss.alive : this.bricksRemaining === 0);
+          if (cleared && !(this.rules.cleared && this.rules.cleared(this))) {
+            const last = !this.testLevel && this.currentLevel >= this.stages.maxLevel();
+            this.hazards = [];
+            this.scoring.levelBonus(this.levelInfo.parTime, this.lives);
+            const next = last ? this._waitingPlayer() : -1;
+            if (next >= 0) {
+              this.players[this.turn].finished = true;
+              this._passTurn(next);
+            } else {
+              this.state = last ? STATE.VICTORY : STATE.LEVEL_COMPLETE;
+            }
+            this._updateHUD();
+            // advance or let user press Start to go next
+            this.sound.break();
+          }
+
+          if (this.state === STATE.PLAYING && this.rules.update) this.rules.update(this, dt);
+
+          this._tickEffects(dt);
+          this.scoring.update(dt);
+        }
+
+        // release a stuck ball: a caught ball leaves at the angle its spot on the paddle would
+        // bounce it, a served ball at a randomized upward angle for variety
+        _launchBall(ball) {
+          const angle = ball.caught ? this._paddleBounceAngle(ball.x, this.paddles[ball.owner]) : -Math.PI / 2 + this.rng.range(-0.3, 0.3);
+          ball.caught = false;
+          ball.launch(angle);
+        }
+
+        // twin bolts from paddle i's cannons, limited by the cooldown and the live cap
+        _fireLaser(i = 0) {
+          if (this.laserCooldown > 0 || this.projectiles.length + 2 > MAX_PROJECTILES) return;
+          const p = this.paddles[i];
+          this.projectiles.push(new Projectile(p.x + 8, p.y - 12, i), new Projectile(p.x + p.width - 8, p.y - 12, i));
+          this.laserCooldown = LASER_COOLDOWN;
+          this.sound.laser();
+        }
+
+        // each bolt is spent on the first brick it reaches, damaging it through the same path
+        // as a ball hit, or on the top wall
+        _updateProjectiles(dt) {
+          for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const bolt = this.projectiles[i];
+            const x0 = bolt.x - bolt.w / 2, x1 = bolt.x + bolt.w / 2;
+            const top = bolt.y + bolt.vy * dt, bottom = bolt.y + bolt.h;
+            let target = null;
+            for (const brick of this.brickGrid.query(x0, top, x1, bottom, this.brickCandidates)) {
+              if (brick.x < x1 && brick.x + brick.w > x0 && brick.y < bottom && brick.y + brick.h > top &&
+                  (!target || brick.y > target.y)) target = brick;
+            }
+            if (target) {
+              bolt.alive = false;
+              this._damageBrick(target, 1, bolt.owner);
+            } else {
+              bolt.y = top;
+              if (bolt.y < WALL) bolt.alive = false;
+            }
+            if (!bolt.alive) this.projectiles.splice(i, 1);
+          }
+        }
+
+        _bossAttack(attack) {
+          const b = this.boss;
+          const x = b.x + b.w / 2, y = b.y + b.h;
+          if (attack === 'spread') {
+            for (const a of [-0.35, 0, 0.35]) this.hazards.push(new Hazard(x, y, 170 * Math.sin(a), 170 * Math.cos(a)));
+          } else if (attack === 'aimed') {
+            // at the paddle nearest below the boss
+            const centre = p => p.x + p.width / 2;
+            const target = this.paddles.reduce((a, p) => (Math.abs(centre(p) - x) < Math.abs(centre(a) - x) ? p : a));
+            const dx = centre(target) - x, dy = target.y - y;
+            const d = Math.hypot(dx, dy) || 1;
+            this.hazards.push(new Hazard(x, y, 230 * dx / d, 230 * dy / d));
+          } else {
+            this.hazards.push(new Hazard(x + this.rng.range(-b.w / 3, b.w / 3), y, 0, 160));
+          }
+        }
+
+        // bounce direction off a paddle's top: hit factor -1 (left edge) .. 1 (right edge)
+        // maps to [-150deg, -30deg]
+        _paddleBounceAngle(x, paddle = this.paddle) {
+          const r = paddle.getRect();
+          const relative = clamp((x - (r.x + r.w / 2)) / (r.w / 2), -1, 1);
+          return relative * (Math.PI / 3) - Math.PI / 2;
+        }
+
+        // Move a ball through one step with swept collision: find the earliest contact along
+        // its path (walls, paddle, bricks), advance to it, respond, and continue with the time
+        // left, so fast balls cannot tunnel and several hits in one step resolve in order.
+        _moveBall(ball, dt) {
+          // speed power-ups scale the ball's time rather than its velocity, so expiring one
+          // restores exactly the speed the ball would have had
+          let remaining = dt * this.ballSpeedScale;
+          for (let i = 0; i < MAX_CONTACTS && remaining > 0; i++) {
+            const dx = ball.vx * remaining;
+            const dy = ball.vy * remaining;
+            const contact = this._findContact(ball, dx, dy);
+            if (!contact) {
+              ball.x += dx;
+              ball.y += dy;
+              return;
+            }
+            ball.x += dx * contact.t;
+            ball.y += dy * contact.t;
+            remaining *= (1 - contact.t);
+            this._resolveContact(ball, contact);
+            if (ball.stuck) return; // caught: it rides the paddle from here
+          }
+        }
+
+        // earliest contact along (dx, dy): { t, nx, ny, kind, bricks, paddle }; bricks hit at
+        // the same instant (e.g. a seam between two bricks) are resolved together
+        _findContact(ball, dx, dy) {
+          const r = ball.radius;
+          let best = null;
+          // target: the brick or paddle hit, if any
+          const consider = (hit, kind, target) => {
+            if (!hit) return;
+            if (!best || hit.t < best.t - 1e-9) {
+              best = { t: hit.t, nx: hit.nx, ny: hit.ny, kind, bricks: kind === 'brick' ? [target] : [], paddle: kind === 'paddle' ? target : null };
+            } else if (kind === 'brick' && best.kind === 'brick' && hit.t <= best.t + 1e-9) {
+              best.bricks.push(target);
+              best.nx += hit.nx;
+              best.ny += hit.ny;
+            }
+          };
+
+          // walls (bottom is open: falling out is handled by the game)
+          if (dx < 0 && ball.x + dx - r < WALL) consider({ t: Math.max(0, (WALL + r - ball.x) / dx), nx: 1, ny: 0 }, 'wall');
+          if (dx > 0 && ball.x + dx + r > WIDTH - WALL) consider({ t: Math.max(0, (WIDTH - WALL - r - ball.x) / dx), nx: -1, ny: 0 }, 'wall');
+          if (dy < 0 && ball.y + dy - r < WALL) consider({ t: Math.max(0, (WALL + r - ball.y) / dy), nx: 0, ny: 1 }, 'wall');
+          if (this.barrier && dy > 0 && ball.y < BARRIER_Y && ball.y + dy + r > BARRIER_Y) {
+            consider({ t: Math.max(0, (BARRIER_Y - r - ball.y) / dy), nx: 0, ny: -1 }, 'barrier');
+          }
+
+          for (const paddle of this.paddles) {
+            const p = paddle.getRect();
+            consider(sweepCircleRect(ball.x, ball.y, dx, dy, r, p.x, p.y, p.w, p.h), 'paddle', paddle);
+          }
+
+          // broad phase: only bricks in grid cells touched by the swept circle's bounds
+          const candidates = this.brickGrid.query(
+            Math.min(ball.x, ball.x + dx) - r, Math.min(ball.y, ball.y + dy) - r,
+            Math.max(ball.x, ball.x + dx) + r, Math.max(ball.y, ball.y + dy) + r,
+            this.brickCandidates
+          );
+          for (const brick of candidates) {
+            consider(sweepCircleRect(ball.x, ball.y, dx, dy, r, brick.x, brick.y, brick.w, brick.h), 'brick', brick);
+          }
+
+          if (best && best.bricks.length > 1) {
+            const mag = Math.hypot(best.nx, best.ny) || 1;
+            best.nx /= mag;
+            best.ny /= mag;
+          }
+          return best;
+        }
+
+        _resolveContact(ball, contact) {
+          const { nx, ny } = contact;
+          // step off the surface so the next sweep does not report the same contact
+          ball.x += nx * 0.01;
+          ball.y += ny * 0.01;
+
+          // any paddle touch ends the combo
+          if (contact.kind === 'paddle' && this.scoring.paddleTouch()) this._updateHUD();
+
+          if (contact.kind === 'paddle' && ny < 0) {
+            const paddle = contact.paddle;
+            ball.owner = this.paddles.indexOf(paddle);
+            this.sound.hit();
+            this._emit('paddle', ball);
+            if (paddle.sticky) {
+              // catch power-up: hold the ball where it landed until launch
+              ball.stuck = true;
+              ball.caught = true;
+              ball.heldFor = 0;
+              ball.stickOffset = ball.x - (paddle.x + paddle.width / 2);
+              ball.vx = 0;
+              ball.vy = 0;
+              return;
+            }
+            ball.speed = clamp(ball.speed, 200, 820);
+            ball.setVelocityFromSpeed(this._paddleBounceAngle(ball.x, paddle));
+            return;
+          }
+
+          // a fireball goes straight through bricks it can destroy
+          const pierce = this.fireball && contact.kind === 'brick' && contact.bricks.every(b => b.breakable && b !== this.boss);
+          if (!pierce && ball.vx * nx + ball.vy * ny < 0) ball.reflect(nx, ny);
+          if (contact.kind === 'paddle' || contact.kind === 'barrier') this.sound.hit();
+          for (const brick of contact.bricks) this._hitBrick(ball, brick);
+        }
+
+        _hitBrick(ball, brick) {
+          // adjust speed slightly for feedback
+          ball.speed = clamp(ball.speed * 1.01, 220, 900);
+          ball.setVelocityFromSpeed(Math.atan2(ball.vy, ball.vx));
+          // a fireball destroys any breakable brick outright
+          this._damageBrick(brick, this.fireball ? Infinity : 1, ball.owner);
+        }
+
+        // one point of damage to a brick from any source. Handles scoring (see ScoreKeeper),
+        // the broad-phase index and alive counter, drops and explosive chain reactions. The
+        // points go to paddle `owner`'s credits as well as the score.
+        _damageBrick(brick, damage = 1, owner = 0) {
+          const queue = [brick];
+          let broke = false;
+          while (queue.length) {
+            const b = queue.shift();
+            if (!b.alive) continue;
+            const type = b.scoring;
+            const result = b.hit(b === brick ? damage : 1);
+            this._emit('brick', b, result);
+            if (result === 'deflect') {
+              this.sound.hit();
+              continue;
+            }
+            this.brickVersion++;
+            broke = true;
+            this.credits[owner] += this.scoring.brickHit(type, result, b);
+            if (result === 'destroy') {
+              this.brickGrid.remove(b);
+              if (b === this.boss) {
+                if (this.rules.brick) this.rules.brick(this, b);
+                continue; // the stage ends in update()
+              }
+              this.bricksRemaining--;
+              this._dropPowerUp(b);
+              if (this.rules.brick) this.rules.brick(this, b);
+              if (b.type === 'explosive') queue.push(...this._blastTargets(b));
+            }
+          }
+          if (broke) {
+            this._updateHUD();
+            this.sound.break(Math.max(0, brick.hp), this.scoring.multiplier);
+          }
+        }
+
+        // true if a circle (a pickup, a boss shot) touches any paddle
+        _touchesPaddle(x, y, r) {
+          for (const paddle of this.paddles) {
+            if (circleRectCollision(x, y, r, paddle.x, paddle.y, paddle.width, paddle.height)) return true;
+          }
+          return false;
+        }
+
+        // alive bricks touching an exploding brick (its 8 grid neighbours)
+        _blastTargets(brick) {
+          const r = BLAST_REACH;
+          return this.brickGrid.query(brick.x - r, brick.y - r, brick.x + brick.w + r, brick.y + brick.h + r, [])
+            .filter(b => b !== brick && b.alive &&
+              b.x < brick.x + brick.w + r && b.x + b.w > brick.x - r &&
+              b.y < brick.y + brick.h + r && b.y + b.h > brick.y - r);
+        }
+
+        // spawn power-up occasionally when brick destroyed; the brick's drop table
+        // overrides the level's
+        _dropPowerUp(brick) {
+          const drops = brick.drops || {};
+          const chance = drops.chance !== undefined ? drops.chance : this.levelInfo.drops.chance;
+          if (this.rng.next() < chance) {
+            const ptype = weightedChoice(this.rng, drops.table || this.levelInfo.drops.table);
+            if (ptype) this.powerups.push(new PowerUp(brick.x + brick.w / 2, brick.y + brick.h / 2, ptype));
+          }
+        }
+
+        // activate a pickup from POWER_UPS: instant ones just apply, timed ones follow their
+        // stacking rule when already active
+        applyPowerUp(type) {
+          const def = POWER_UPS[type];
+          for (const other of def.cancels || []) this._endEffect(other);
+          const active = this.effects.find(fx => fx.type === type);
+          const duration = def.duration * this.levelInfo.powerScale;
+          if (!active) {
+            const fx = { type, remaining: duration, stacks: 1 };
+            if (duration > 0) this.effects.push(fx);
+            if (def.apply) def.apply(this, fx);
+            return;
+          }
+          if (def.stacking === 'extend') active.remaining += duration;
+          else active.remaining = duration;
+          if (def.stacking === 'stack' && active.stacks < (def.maxStacks || Infinity)) {
+            active.stacks++;
+            if (def.apply) def.apply(this, active);
+          }
+        }
+
+        // product of the active effects' ball speed factors (and assist mode's)
+        get ballSpeedScale() {
+          let scale = this.assist ? ASSIST_BALL_SPEED : 1;
+          for (const fx of this.effects) {
+            const factor = POWER_UPS[fx.type].ballSpeed;
+            if (factor) scale *= Math.pow(factor, fx.stacks);
+          }
+          return scale;
+        }
+
+        // run tick hooks and count down timers, expiring effects that run out
+        _tickEffects(dt) {
+          for (const fx of this.effects.slice()) {
+            const def = POWER_UPS[fx.type];
+            if (def.tick) def.tick(this, fx, dt);
+            fx.remaining -= dt;
+            if (fx.remaining <= 0) this._endEffect(fx.type);
+          }
+        }
+
+        _endEffect(type) {
+          const i = this.effects.findIndex(fx => fx.type === type);
+          if (i < 0) return;
+          const [fx] = this.effects.splice(i, 1);
+          const def = POWER_UPS[type];
+          if (def.expire) def.expire(this, fx);
+        }
+
+        _clearEffects() {
+          while (this.effects.length) this._endEffect(this.effects[0].type);
+        }
+
+        // plain, JSON-ready copy of the run in progress; restoreSnapshot() continues it exactly
+        snapshot() {
+          return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            seed: this.seed,
+            rng: this.rng.state,
+            tick: this.tick,
+            playTime: this.playTime,
+            mode: this.mode,
+            assist: this.assist || undefined,
+            modeState: this.modeState ? JSON.parse(JSON.stringify(this.modeState)) : undefined,
+            // custom packs travel inside the save, like replays
+            levels: this.levelManager.isBuiltin ? undefined : this.levelManager.pack,
+            testLevel: this.testLevel || undefined,
+            startingLevel: this.startingLevel,
+            currentLevel: this.currentLevel,
+            state: this.state,
+            lives: this.lives,
+            score: this.score,
+            scoring: copyFields(this.scoring, SCORING_SAVE_FIELDS),
+            bricks: this.bricks.map(b => BRICK_SAVE_FIELDS.map(key => b[key])),
+            boss: this.boss ? copyFields(this.boss, BOSS_SAVE_FIELDS) : null,
+            paddles: this.paddles.map(p => copyFields(p, PADDLE_SAVE_FIELDS)),
+            balls: this.balls.map(b => copyFields(b, BALL_SAVE_FIELDS)),
+            powerups: this.powerups.map(p => ({ x: p.x, y: p.y, type: p.type })),
+            projectiles: this.projectiles.map(p => ({ x: p.x, y: p.y, owner: p.owner })),
+            hazards: this.hazards.map(h => ({ x: h.x, y: h.y, vx: h.vx, vy: h.vy })),
+            effects: this.effects.map(fx => Object.assign({}, fx)),
+            fireball: this.fireball,
+            barrier: this.barrier,
+            laserCooldown: this.laserCooldown,
+            credits: this.credits.slice(),
+            turn: this.turn,
+            players: this.players.map(p => ({
+              lives: p.lives,
+              score: p.scoring.score,
+              scoring: copyFields(p.scoring, SCORING_SAVE_FIELDS),
+              level: p.level,
+              field: p.field,
+              finished: p.finished
+            }))
+          };
+        }
+
+        // continue a run saved by snapshot(); a run saved while playing comes back paused.
+        // Throws SaveFormatError, leaving this game untouched, if the save is from another
+        // version or no longer fits its level pack.
+        restoreSnapshot(snap) {
+          validateSnapshot(snap);
+          // build the level first so a save that does not fit changes nothing
+          let levelManager, generated, info, bricks;
+          try {
+            levelManager = new LevelManager(snap.levels);
+            const rules = MODE_RULES[snap.mode || 'classic'];
+            generated = rules.stages ? rules.stages(snap.seed) : null;
+            const stages = generated || levelManager;
+            if (snap.testLevel) {
+              validateLevel(snap.testLevel, 'testLevel', {});
+              info = levelInfo(snap.testLevel, snap.currentLevel);
+              bricks = buildBricks(snap.testLevel, {});
+            } else {
+              if (snap.currentLevel < 1 || snap.currentLevel > stages.maxLevel()) throw new SaveFormatError(`level ${snap.currentLevel} is not in the pack`);
+              info = stages.getLevel(snap.currentLevel);
+              bricks = stages.getBricksForLevel(snap.currentLevel, snap.modeState);
+              (snap.players || []).forEach((p, i) => {
+                if (p.level < 1 || p.level > stages.maxLevel()) throw new SaveFormatError(`players[${i}] level ${p.level} is not in the pack`);
+              });
+            }
+          } catch (e) {
+            throw new SaveFormatError(`Saved game does not fit its levels: ${e.message}`);
+          }
+          if (bricks.length !== snap.bricks.length || !info.boss !== !snap.boss) {
+            throw new SaveFormatError('Saved game does not fit its levels: the layout has changed');
+          }
+
+          // then the rest of the run, aside as well: the game only changes once all of it is built
+          const mode = snap.mode || 'classic';
+          const assist = !!snap.assist;
+          bricks.forEach((brick, i) => BRICK_SAVE_FIELDS.forEach((key, j) => { brick[key] = snap.bricks[i][j]; }));
+          const boss = info.boss ? copyFields(snap.boss, BOSS_SAVE_FIELDS, new Boss(info.boss)) : null;
+          if (boss && !(Number.isInteger(boss.phase) && boss.phase >= 0 && boss.phase < boss.phases.length)) throw new SaveFormatError('Saved game does not fit its levels: the boss has no such phase');
+          const scoring = new ScoreKeeper();
+          scoring.score = snap.score;
+          copyFields(snap.scoring, SCORING_SAVE_FIELDS, scoring);
+          const paddles = this._newPaddles(mode, assist);
+          (snap.paddles || [snap.paddle]).forEach((p, i) => copyFields(p, PADDLE_SAVE_FIELDS, paddles[i]));
+          const balls = snap.balls.map(b => copyFields(b, BALL_SAVE_FIELDS, new Ball(b.x, b.y, b.speed)));
+          balls.forEach(b => { b.owner = b.owner || 0; });
+          const players = (snap.players || []).map((p) => {
+            const keeper = new ScoreKeeper();
+            keeper.score = p.score;
+            copyFields(p.scoring, SCORING_SAVE_FIELDS, keeper);
+            return { lives: p.lives, scoring: keeper, level: p.level, field: p.field, finished: !!p.finished };
+          });
+
+          this.levelManager = levelManager;
+          this.generated = generated;
+          this.seed = snap.seed;
+          this.rng = new Rng(snap.rng);
+          this.tick = snap.tick;
+          this.playTime = snap.playTime || 0;
+          this.accumulator = 0;
+          this.pendingCommands = [];
+          this.mode = mode;
+          this.assist = assist;
+          this.modeState = snap.modeState ? JSON.parse(JSON.stringify(snap.modeState)) : null;
+          this.testLevel = snap.testLevel || null;
+          this.startingLevel = snap.startingLevel;
+          this.currentLevel = snap.currentLevel;
+          this.state = snap.state === STATE.PLAYING ? STATE.PAUSED : snap.state;
+          this.lives = snap.lives;
+          this.levelInfo = info;
+          this._loadBricks(bricks, boss); // resets the outgoing keeper, not the restored one
+          this.scoring = scoring;
+          this.paddles = paddles;
+          this.balls = balls;
+          this.powerups = snap.powerups.map(p => new PowerUp(p.x, p.y, p.type));
+          this.projectiles = snap.projectiles.map(p => new Projectile(p.x, p.y, p.owner || 0));
+          this.hazards = snap.hazards.map(h => new Hazard(h.x, h.y, h.vx, h.vy));
+          this.effects = snap.effects.map(fx => Object.assign({}, fx));
+          this.fireball = !!snap.fireball;
+          this.barrier = !!snap.barrier;
+          this.laserCooldown = snap.laserCooldown || 0;
+          this.credits = snap.credits ? snap.credits.slice() : [0, 0];
+          this.turn = snap.turn || 0;
+          this.players = players;
+          this._updateHUD();
+          this._emit('restore', this, snap);
+        }
+
+        // rendering is delegated to the injected renderer adapter
+        draw() {
+          this.renderer.draw(this);
+        }
+      }
+
+      /* -------------------------
+         Collision helpers
+         ------------------------- */
+      function circleRectCollision(cx, cy, r, rx, ry, rw, rh) {
+        const closestX = clamp(cx, rx, rx + rw);
+        const closestY = clamp(cy, ry, ry + rh);
+        const dx = cx - closestX;
+        const dy = cy - closestY;
+        return (dx * dx + dy * dy) < (r * r + 0.0001);
+      }
+
+      // Swept circle vs axis-aligned rect: a circle of radius r at (x, y) moving by (dx, dy)
+      // hits the rect at fraction t of the move. Works on the rect grown by r (a rounded
+      // rect): the flat sides via a slab test, the corners as circles so corner hits get a
+      // proper diagonal normal. Returns { t, nx, ny } or null when the path misses.
+      function sweepCircleRect(x, y, dx, dy, r, rx, ry, rw, rh) {
+        if (dx === 0 && dy === 0) return null; // not moving: nothing to hit (and no corner root)
+
+        // already touching: report an immediate contact if moving into the rect
+        if (circleRectCollision(x, y, r, rx, ry, rw, rh)) {
+          const cx = clamp(x, rx, rx + rw);
+          const cy = clamp(y, ry, ry + rh);
+          let nx = x - cx;
+          let ny = y - cy;
+          const d = Math.hypot(nx, ny);
+          if (d > 1e-9) {
+            nx /= d; ny /= d;
+          } else {
+            // centre inside the rect: push out along the axis of least penetration
+            const left = x - rx, right = rx + rw - x, top = y - ry, bottom = ry + rh - y;
+            const m = Math.min(left, right, top, bottom);
+            nx = m === left ? -1 : m === right ? 1 : 0;
+            ny = nx !== 0 ? 0 : (m === top ? -1 : 1);
+          }
+          return (dx * nx + dy * ny < 0) ? { t: 0, nx, ny } : null;
+        }
+
+        // slab test against the expanded box
+        const x0 = rx - r, x1 = rx + rw + r, y0 = ry - r, y1 = ry + rh + r;
+        let tEnter = -Infinity, tExit = Infinity, nx = 0, ny = 0;
+        if (dx === 0) {
+          if (x < x0 || x > x1) return null;
+        } else {
+          const ta = (x0 - x) / dx, tb = (x1 - x) / dx;
+          const enter = Math.min(ta, tb);
+          if (enter > tEnter) { tEnter = enter; nx = dx > 0 ? -1 : 1; ny = 0; }
+          tExit = Math.min(tExit, Math.max(ta, tb));
+        }
+        if (dy === 0) {
+          if (y < y0 || y > y1) return null;
+        } else {
+          const ta = (y0 - y) / dy, tb = (y1 - y) / dy;
+          const enter = Math.min(ta, tb);
+          if (enter > tEnter) { tEnter = enter; nx = 0; ny = dy > 0 ? -1 : 1; }
+          tExit = Math.min(tExit, Math.max(ta, tb));
+        }
+        if (tEnter > tExit || tExit < 0 || tEnter > 1) return null;
+
+        // entry point inside a corner square: the real surface there is the corner circle
+        // (a start point already inside the grown box can only be in one of those squares)
+        const tStart = Math.max(tEnter, 0);
+        const px = x + dx * tStart, py = y + dy * tStart;
+        const outX = px < rx || px > rx + rw;
+        const outY = py < ry || py > ry + rh;
+        if (outX && outY) {
+          const cx = px < rx ? rx : rx + rw;
+          const cy = py < ry ? ry : ry + rh;
+          const fx = x - cx, fy = y - cy;
+          const a = dx * dx + dy * dy;
+          const b = 2 * (fx * dx + fy * dy);
+          const c = fx * fx + fy * fy - r * r;
+          const disc = b * b - 4 * a * c;
+          if (disc < 0) return null;
+          const t = (-b - Math.sqrt(disc)) / (2 * a);
+          if (!(t >= 0 && t <= 1)) return null; // also rejects a NaN root
+          return { t, nx: (fx + dx * t) / r, ny: (fy + dy * t) / r };
+        }
+        return tEnter >= 0 ? { t: tEnter, nx, ny } : null;
+      }
+
+      return {
+        WIDTH, HEIGHT, PADDLE_Y, PADDLE_BASE_WIDTH, PADDLE_HEIGHT, BALL_RADIUS, ASSIST_PADDLE_WIDTH, ASSIST_BALL_SPEED,
+        BRICK_ROWS, BRICK_COLS, BRICK_W, BRICK_H, POWER_CHANCE, BARRIER_Y, FIXED_DT, MAX_FRAME_DT, STATE, GAME_MODES,
+        clamp, newSeed, circleRectCollision, sweepCircleRect,
+        BRICK_TYPES, BRICK_PALETTES, POWER_UPS, LEVEL_FORMAT, LEVEL_VERSION, BUILTIN_LEVELS, LevelFormatError, validateLevelPack, validateLevel,
+        levelCells, cellRect, isLevelClearable, generateLevel,
+        DAILY_STAGES, DAILY_MODIFIERS, localDate, dailySeed, dailyModifiers, MODE_RULES,
+        TIME_ATTACK_START, SURVIVAL_START_ROWS,
+        SAVE_FORMAT, SAVE_VERSION, SaveFormatError, validateSnapshot,
+        Rng, Paddle, Ball, Brick, Boss, Hazard, BrickGrid, PowerUp, Projectile, LevelManager, EndlessLevels, DailyLevels, SurvivalLevels, ScoreKeeper, Game,
+        NullInput, NullRenderer, NullSound
+      };
+    });
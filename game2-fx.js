@@ -0,0 +1,220 @@
+
+    /* Neon Bricks screen effects: a pooled particle system (brick shatter, ball trails,
+       paddle sparks, pickup bursts) plus screen shake and flash. Effects listen to the game's
+       events and never touch the simulation or its rng, so replays and saves are unaffected. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory(require('./game2-engine.js'));
+      else root.NeonFx = factory(root.NeonEngine);
+    })(typeof self !== 'undefined' ? self : this, function (engine) {
+      'use strict';
+
+      const { WIDTH, HEIGHT, POWER_UPS, Rng, newSeed } = engine;
+
+      const MAX_PARTICLES = 600; // pool size; spawns beyond it are dropped
+      const GRAVITY = 420; // px/s² on fragments and sparks
+      const TRAIL_EVERY = 1 / 60; // seconds between trail dots per ball
+
+      // per intensity: particle count scale, trails, shake amplitude (px) and flash strength
+      const INTENSITY = {
+        off: { particles: 0, trails: false, shake: 0, flash: 0 },
+        low: { particles: 0.35, trails: false, shake: 3, flash: 0.15 },
+        full: { particles: 1, trails: true, shake: 9, flash: 0.35 }
+      };
+      const INTENSITY_LEVELS = Object.keys(INTENSITY);
+
+      /* -------------------------
+         Particle pool
+         ------------------------- */
+      // Particles are preallocated and recycled through a free list so a burst of explosions
+      // does not churn the garbage collector.
+      class ParticlePool {
+        constructor(size = MAX_PARTICLES) {
+          this.live = [];
+          this.free = [];
+          for (let i = 0; i < size; i++) {
+            this.free.push({ x: 0, y: 0, vx: 0, vy: 0, size: 0, color: '', life: 0, age: 0, gravity: 0 });
+          }
+        }
+
+        // returns the particle to fill in, or null when the pool is spent
+        spawn(x, y, vx, vy, size, color, life, gravity = 0) {
+          const p = this.free.pop();
+          if (!p) return null;
+          p.x = x; p.y = y; p.vx = vx; p.vy = vy;
+          p.size = size; p.color = color;
+          p.life = life; p.age = 0; p.gravity = gravity;
+          this.live.push(p);
+          return p;
+        }
+
+        update(dt) {
+          for (let i = this.live.length - 1; i >= 0; i--) {
+            const p = this.live[i];
+            p.age += dt;
+            if (p.age >= p.life) {
+              // swap-remove back into the free list
+              this.live[i] = this.live[this.live.length - 1];
+              this.live.pop();
+              this.free.push(p);
+              continue;
+            }
+            p.vy += p.gravity * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+          }
+        }
+
+        clear() {
+          for (const p of this.live) this.free.push(p);
+          this.live.length = 0;
+        }
+
+        draw(ctx) {
+          if (!this.live.length) return;
+          ctx.save();
+          ctx.globalCompositeOperation = 'lighter';
+          for (const p of this.live) {
+            const t = 1 - p.age / p.life;
+            ctx.globalAlpha = t;
+            ctx.fillStyle = p.color;
+            const s = p.size * (0.4 + 0.6 * t);
+            ctx.fillRect(p.x - s / 2, p.y - s / 2, s, s);
+          }
+          ctx.restore();
+        }
+      }
+
+      /* -------------------------
+         Effects: game events -> particles, shake and flash
+         ------------------------- */
+      class Effects {
+        // intensity: 'off' | 'low' | 'full'
+        constructor(intensity = 'full') {
+          this.pool = new ParticlePool();
+          this.rng = new Rng(newSeed()); // cosmetic only, never the game's rng
+          this.game = null;
+          this._off = [];
+          this.shake = 0; // seconds of shake left
+          this.flash = 0; // flash alpha, fades out
+          this.trailTimer = 0;
+          this.setIntensity(intensity);
+        }
+
+        setIntensity(intensity) {
+          this.intensity = INTENSITY[intensity] ? intensity : 'full';
+          this.settings = INTENSITY[this.intensity];
+          if (!this.settings.particles) this.clear();
+        }
+
+        // follow a game's events (the live run or a replay's); detaches from the previous one
+        attach(game) {
+          this.detach();
+          this.game = game;
+          this.clear();
+          this._off = [
+            game.on('brick', (brick, result) => this._brick(brick, result)),
+            game.on('paddle', ball => this._paddle(ball)),
+            game.on('pickup', p => this._pickup(p)),
+            game.on('lifeLost', () => this._lifeLost()),
+            game.on('reset', () => this.clear()),
+            game.on('restore', () => this.clear())
+          ];
+        }
+
+        detach() {
+          this._off.forEach(off => off());
+          this._off = [];
+          this.game = null;
+        }
+
+        clear() {
+          this.pool.clear();
+          this.shake = 0;
+          this.flash = 0;
+        }
+
+        // n particles scaled by the intensity, flung out from (x, y)
+        _burst(x, y, n, color, speed, life, size, gravity = GRAVITY) {
+          const count = Math.round(n * this.settings.particles);
+          for (let i = 0; i < count; i++) {
+            const a = this.rng.range(0, Math.PI * 2);
+            const v = this.rng.range(speed * 0.3, speed);
+            this.pool.spawn(x, y, Math.cos(a) * v, Math.sin(a) * v, size, color, this.rng.range(life * 0.6, life), gravity);
+          }
+        }
+
+        _brick(brick, result) {
+          const cx = brick.x + brick.w / 2, cy = brick.y + brick.h / 2;
+          if (result === 'destroy') {
+            // fragments spread over the brick's area
+            const count = Math.round(14 * this.settings.particles);
+            for (let i = 0; i < count; i++) {
+              const x = brick.x + this.rng.range(0, brick.w);
+              const y = brick.y + this.rng.range(0, brick.h);
+              this.pool.spawn(x, y, (x - cx) * 4 + this.rng.range(-40, 40), this.rng.range(-160, 20),
+                this.rng.range(3, 6), brick.color, this.rng.range(0.5, 0.9), GRAVITY);
+            }
+          } else if (result === 'deflect') {
+            this._burst(cx, brick.y + brick.h, 4, '#c8d4e0', 140, 0.25, 2);
+          } else {
+            this._burst(cx, cy, 4, brick.color, 90, 0.3, 3);
+          }
+        }
+
+        _paddle(ball) {
+          this._burst(ball.x, ball.y + ball.radius, 6, '#33e0ff', 180, 0.3, 2);
+        }
+
+        _pickup(p) {
+          const def = POWER_UPS[p.type];
+          this._burst(p.x, p.y, 18, def.color, 220, 0.5, 3, 0);
+        }
+
+        _lifeLost() {
+          this.shake = 0.35;
+          this.flash = this.settings.flash;
+        }
+
+        // once per displayed frame with real elapsed time; pass paused to freeze everything
+        update(dt, paused) {
+          if (paused) return;
+          this.pool.update(dt);
+          this.shake = Math.max(0, this.shake - dt);
+          this.flash = Math.max(0, this.flash - dt * 1.5);
+          if (!this.settings.trails || !this.game) return;
+          this.trailTimer += dt;
+          if (this.trailTimer < TRAIL_EVERY) return;
+          this.trailTimer = 0;
+          const color = this.game.fireball ? '#ff9a3d' : '#d7fbff';
+          for (const ball of this.game.balls) {
+            if (!ball.stuck) this.pool.spawn(ball.x, ball.y, 0, 0, ball.radius * 1.4, color, 0.18);
+          }
+        }
+
+        // shift the world by the current shake; call inside ctx.save()/restore()
+        applyShake(ctx) {
+          if (this.shake <= 0 || !this.settings.shake) return;
+          const amp = this.settings.shake * (this.shake / 0.35);
+          ctx.translate(this.rng.range(-amp, amp), this.rng.range(-amp, amp));
+        }
+
+        draw(ctx) {
+          this.pool.draw(ctx);
+        }
+
+        drawFlash(ctx) {
+          if (this.flash <= 0) return;
+          ctx.save();
+          ctx.globalAlpha = this.flash;
+          ctx.fillStyle = '#ff4dd2';
+          ctx.fillRect(0, 0, WIDTH, HEIGHT);
+          ctx.restore();
+        }
+      }
+
+      return {
+        MAX_PARTICLES, INTENSITY_LEVELS,
+        ParticlePool, Effects
+      };
+    });
@@ -0,0 +1,287 @@
+
+    /* Neon Bricks replays: per-tick input recording, compact JSON files and playback.
+       A replay is the run's seed and starting level plus the input the simulation saw on
+       every fixed step; because the engine is deterministic, feeding that stream back into
+       a fresh Game reproduces the run exactly. A recording of a continued save also carries
+       the snapshot it started from. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory(require('./game2-engine.js'));
+      else root.NeonReplay = factory(root.NeonEngine);
+    })(typeof self !== 'undefined' ? self : this, function (engine) {
+      'use strict';
+
+      const { FIXED_DT, MAX_FRAME_DT, GAME_MODES, Game, NullInput, NullSound, validateLevelPack, validateSnapshot } = engine;
+
+      const REPLAY_FORMAT = 'neon-bricks-replay';
+      // 2 added `start`, 3 the stick axis in input runs, 4 `mode` and the second player's input,
+      // 5 `assist`; older files still load
+      const REPLAY_VERSION = 5;
+
+      // input flags packed into one integer per frame
+      const BIT_LEFT = 1;
+      const BIT_RIGHT = 2;
+      const BIT_LAUNCH = 4;
+      const BIT_POINTER = 8;
+      // the second player's controls (co-op), which have no pointer
+      const BIT_LEFT2 = 16;
+      const BIT_RIGHT2 = 32;
+      const BIT_LAUNCH2 = 64;
+
+      // input run length by file version: [count, bits, pointerX] gained axis, then axis2
+      function runLength(version) {
+        return version < 3 ? 3 : version < 4 ? 4 : 5;
+      }
+
+      class ReplayFormatError extends Error {
+        constructor(message) {
+          super(message);
+          this.name = 'ReplayFormatError';
+        }
+      }
+
+      /* -------------------------
+         Frame packing
+         ------------------------- */
+      // input2: the second player's controls, or null outside co-op
+      function packInput(input, input2) {
+        let bits = 0;
+        if (input.left) bits |= BIT_LEFT;
+        if (input.right) bits |= BIT_RIGHT;
+        if (input.launch) bits |= BIT_LAUNCH;
+        if (input.pointerDown) bits |= BIT_POINTER;
+        if (input2 && input2.left) bits |= BIT_LEFT2;
+        if (input2 && input2.right) bits |= BIT_RIGHT2;
+        if (input2 && input2.launch) bits |= BIT_LAUNCH2;
+        // pointerX only steers the paddle while the pointer is down; dropping it otherwise
+        // keeps idle stretches in a single run
+        return [bits, (bits & BIT_POINTER) ? input.pointerX : 0, input.axis || 0, (input2 && input2.axis) || 0];
+      }
+
+      function unpackInput(bits, x, axis, axis2, input, input2) {
+        input.left = (bits & BIT_LEFT) !== 0;
+        input.right = (bits & BIT_RIGHT) !== 0;
+        input.launch = (bits & BIT_LAUNCH) !== 0;
+        input.pointerDown = (bits & BIT_POINTER) !== 0;
+        if (input.pointerDown) input.pointerX = x;
+        input.axis = axis;
+        input2.left = (bits & BIT_LEFT2) !== 0;
+        input2.right = (bits & BIT_RIGHT2) !== 0;
+        input2.launch = (bits & BIT_LAUNCH2) !== 0;
+        input2.axis = axis2;
+      }
+
+      /* -------------------------
+         Recorder: captures what the simulation sees on each step
+         ------------------------- */
+      class ReplayRecorder {
+        constructor(game) {
+          this.game = game;
+          this._begin();
+          // a reset starts a new run with a new seed, so start a new recording with it; so
+          // does continuing a save, from that snapshot
+          this._offReset = game.on('reset', () => this._begin());
+          this._offRestore = game.on('restore', (g, snapshot) => this._begin(snapshot));
+          this._offStep = game.on('step', (tick, commands) => this._capture(tick, commands));
+        }
+
+        _begin(start) {
+          this.start = start; // snapshot the run was continued from, if any
+          this.mode = this.game.mode;
+          this.assist = this.game.assist;
+          this.seed = this.game.seed;
+          this.level = this.game.startingLevel;
+          // custom level packs travel inside the replay so it plays back anywhere
+          this.levels = this.game.levelManager.isBuiltin ? undefined : this.game.levelManager.pack;
+          this.runs = []; // [count, bits, pointerX, axis, axis2] run-length encoded frames
+          this.commands = []; // [tick, command]
+          this.ticks = 0;
+        }
+
+        _capture(tick, commands) {
+          const g = this.game;
+          const [bits, x, axis, axis2] = packInput(g.input, g.mode === 'coop' ? g.input2 : null);
+          const last = this.runs[this.runs.length - 1];
+          if (last && last[1] === bits && last[2] === x && last[3] === axis && last[4] === axis2) last[0]++;
+          else this.runs.push([1, bits, x, axis, axis2]);
+          for (const command of commands) this.commands.push([tick, command]);
+          this.ticks = tick;
+        }
+
+        // plain object ready for JSON.stringify; `final` lets a player verify the playback
+        toJSON() {
+          const g = this.game;
+          return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            mode: this.mode,
+            assist: this.assist || undefined,
+            seed: this.seed,
+            level: this.level,
+            levels: this.levels,
+            start: this.start,
+            ticks: this.ticks,
+            input: this.runs.map(r => r.slice()),
+            commands: this.commands.map(c => c.slice()),
+            final: { state: g.state, score: g.score, lives: g.lives, level: g.currentLevel }
+          };
+        }
+
+        detach() {
+          this._offReset();
+          this._offRestore();
+          this._offStep();
+        }
+      }
+
+      /* -------------------------
+         File format
+         ------------------------- */
+      function encodeReplay(replay) {
+        return JSON.stringify(replay);
+      }
+
+      // parse and validate a replay file; throws ReplayFormatError with a readable reason
+      function decodeReplay(text) {
+        let data;
+        try {
+          data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+          throw new ReplayFormatError(`Replay is not valid JSON (${e.message})`);
+        }
+        if (!data || typeof data !== 'object') throw new ReplayFormatError('Replay must be a JSON object');
+        if (data.format !== REPLAY_FORMAT) throw new ReplayFormatError(`Not a Neon Bricks replay (format "${data.format}")`);
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > REPLAY_VERSION) {
+          throw new ReplayFormatError(`Replay version ${data.version} is not supported (expected ${REPLAY_VERSION})`);
+        }
+        if (!Number.isInteger(data.seed) || data.seed < 0) throw new ReplayFormatError('Replay seed must be a non-negative integer');
+        if (!Number.isInteger(data.level) || data.level < 1) throw new ReplayFormatError('Replay level must be a positive integer');
+        if (data.mode !== undefined && !GAME_MODES.includes(data.mode)) throw new ReplayFormatError(`Replay mode "${data.mode}" is unknown`);
+        if (data.assist !== undefined && typeof data.assist !== 'boolean') throw new ReplayFormatError('Replay assist must be a boolean');
+        if (data.levels !== undefined) {
+          try {
+            validateLevelPack(data.levels);
+          } catch (e) {
+            throw new ReplayFormatError(`Replay level pack is invalid: ${e.message}`);
+          }
+        }
+        if (data.start !== undefined) {
+          try {
+            validateSnapshot(data.start);
+          } catch (e) {
+            throw new ReplayFormatError(`Replay start is invalid: ${e.message}`);
+          }
+        }
+        if (!Array.isArray(data.input)) throw new ReplayFormatError('Replay input must be an array');
+        let ticks = data.start ? data.start.tick : 0;
+        const length = runLength(data.version);
+        const fields = ['count', 'bits', 'pointerX', 'axis', 'axis2'].slice(0, length).join(', ');
+        data.input.forEach((run, i) => {
+          if (!Array.isArray(run) || run.length !== length || !Number.isInteger(run[0]) || run[0] < 1 ||
+              !Number.isInteger(run[1]) || !run.slice(2).every(v => typeof v === 'number')) {
+            throw new ReplayFormatError(`Replay input[${i}] must be [${fields}]`);
+          }
+          ticks += run[0];
+        });
+        if (ticks !== data.ticks) throw new ReplayFormatError(`Replay input covers ${ticks} ticks but header says ${data.ticks}`);
+        if (!Array.isArray(data.commands)) throw new ReplayFormatError('Replay commands must be an array');
+        data.commands.forEach((c, i) => {
+          if (!Array.isArray(c) || !Number.isInteger(c[0]) || typeof c[1] !== 'string') {
+            throw new ReplayFormatError(`Replay commands[${i}] must be [tick, command]`);
+          }
+        });
+        return data;
+      }
+
+      /* -------------------------
+         Player: drives a fresh Game from a recorded stream
+         ------------------------- */
+      class ReplayPlayer {
+        // options: { renderer, sound } adapters for the playback game
+        constructor(replay, options = {}) {
+          this.replay = replay;
+          this.options = options;
+          this.speed = 1;
+          this.paused = false;
+          this.commandsByTick = new Map();
+          for (const [tick, command] of replay.commands) {
+            if (!this.commandsByTick.has(tick)) this.commandsByTick.set(tick, []);
+            this.commandsByTick.get(tick).push(command);
+          }
+          this._restart();
+        }
+
+        get tick() { return this.game.tick; }
+        get length() { return this.replay.ticks; }
+        get finished() { return this.game.tick >= this.replay.ticks; }
+
+        _restart() {
+          this.input = new NullInput();
+          this.input2 = new NullInput();
+          this.game = new Game({
+            seed: this.replay.seed,
+            level: this.replay.level,
+            levels: this.replay.levels,
+            mode: this.replay.mode,
+            assist: this.replay.assist,
+            input: this.input,
+            input2: this.input2,
+            renderer: this.options.renderer,
+            sound: this.options.sound
+          });
+          // a continued run starts paused, as it did when it was recorded
+          if (this.replay.start) this.game.restoreSnapshot(this.replay.start);
+          this.runIndex = 0;
+          this.runLeft = this.replay.input.length ? this.replay.input[0][0] : 0;
+          this.accumulator = 0;
+        }
+
+        // one recorded step: set the input the original run saw, queue its commands, simulate
+        stepOnce() {
+          if (this.finished) return false;
+          const run = this.replay.input[this.runIndex];
+          unpackInput(run[1], run[2], run[3] || 0, run[4] || 0, this.input, this.input2);
+          if (--this.runLeft === 0 && this.runIndex < this.replay.input.length - 1) {
+            this.runIndex++;
+            this.runLeft = this.replay.input[this.runIndex][0];
+          }
+          const commands = this.commandsByTick.get(this.game.tick + 1);
+          if (commands) commands.forEach(c => this.game.dispatch(c));
+          this.game.step();
+          return true;
+        }
+
+        // feed real elapsed time; plays at `speed` unless paused
+        advance(frameDt) {
+          if (this.paused || this.finished) return;
+          this.accumulator += Math.min(frameDt, MAX_FRAME_DT) * this.speed;
+          while (this.accumulator >= FIXED_DT && this.stepOnce()) {
+            this.accumulator -= FIXED_DT;
+          }
+        }
+
+        // jump to a tick; going backwards re-simulates from the start (silently)
+        seek(tick) {
+          tick = Math.max(0, Math.min(this.replay.ticks, Math.floor(tick)));
+          if (tick < this.game.tick) this._restart();
+          const sound = this.game.sound;
+          this.game.sound = new NullSound();
+          while (this.game.tick < tick && this.stepOnce()) { /* fast-forward */ }
+          this.game.sound = sound;
+          this.accumulator = 0;
+          this.game._updateHUD();
+        }
+
+        // true when playback ended exactly where the recording did
+        matchesFinal() {
+          const f = this.replay.final;
+          const g = this.game;
+          return !f || (g.state === f.state && g.score === f.score && g.lives === f.lives && g.currentLevel === f.level);
+        }
+      }
+
+      return {
+        REPLAY_FORMAT, REPLAY_VERSION,
+        ReplayFormatError, ReplayRecorder, ReplayPlayer, encodeReplay, decodeReplay
+      };
+    });
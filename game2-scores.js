@@ -0,0 +1,246 @@
+
+    /* Neon Bricks high scores: top-10 tables kept in localStorage (one per game mode and level
+       pack) and the arcade-style initials entry. Storage is injected so the tables also work
+       headless; drawing only touches the 2D context it is given. */
+    (function (root, factory) {
+      'use strict';
+      if (typeof module === 'object' && module.exports) module.exports = factory(require('./game2-engine.js'));
+      else root.NeonScores = factory(root.NeonEngine);
+    })(typeof self !== 'undefined' ? self : this, function (engine) {
+      'use strict';
+
+      const { WIDTH, HEIGHT, localDate } = engine;
+
+      const SCORES_KEY = 'neon-bricks.scores';
+      const SCORES_VERSION = 1;
+      const MAX_SCORES = 10;
+      const NAME_LENGTH = 3;
+      const NAME_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-.';
+
+      function isEntry(e) {
+        return e && typeof e.name === 'string' && Number.isInteger(e.score) && Number.isInteger(e.level) &&
+          typeof e.date === 'string' && typeof e.mode === 'string';
+      }
+
+      // local date as YYYY-MM-DD
+      const today = localDate;
+
+      /* -------------------------
+         Table: top scores for one mode and level pack
+         ------------------------- */
+      // storage: a localStorage-like object or null. Reads and writes that fail (private
+      // browsing, quota, a corrupt or newer entry) leave the table working in memory.
+      class HighScoreTable {
+        constructor(storage, mode, packId) {
+          this.storage = storage;
+          this.mode = mode;
+          this.packId = packId;
+          this.key = `${SCORES_KEY}:${mode}:${packId}`;
+          this.entries = this._load();
+        }
+
+        _load() {
+          try {
+            const raw = this.storage && this.storage.getItem(this.key);
+            if (!raw) return [];
+            const data = JSON.parse(raw);
+            if (!data || data.version !== SCORES_VERSION || !Array.isArray(data.entries)) return [];
+            return data.entries.filter(isEntry).slice(0, MAX_SCORES);
+          } catch (e) {
+            return [];
+          }
+        }
+
+        _save() {
+          try {
+            if (this.storage) this.storage.setItem(this.key, JSON.stringify({ version: SCORES_VERSION, entries: this.entries }));
+          } catch (e) {
+            // keep the in-memory table
+          }
+        }
+
+        qualifies(score) {
+          return score > 0 && (this.entries.length < MAX_SCORES || score > this.entries[this.entries.length - 1].score);
+        }
+
+        // insert { name, score, level, date, mode } and persist; returns its 0-based rank, or -1
+        // if it did not make the table. A tie ranks below the scores already there.
+        add(entry) {
+          if (!this.qualifies(entry.score)) return -1;
+          let rank = this.entries.findIndex(e => entry.score > e.score);
+          if (rank < 0) rank = this.entries.length;
+          this.entries.splice(rank, 0, entry);
+          this.entries.length = Math.min(this.entries.length, MAX_SCORES);
+          this._save();
+          return rank;
+        }
+      }
+
+      /* -------------------------
+         Name entry: three initials, picked like an arcade cabinet
+         ------------------------- */
+      // Each slot cycles through NAME_CHARS. Keys: up/down cycle, left/right move, a letter or
+      // digit types into the slot, Enter moves on and finishes from the last slot. Touch: the
+      // top or bottom half of a slot cycles it, OK finishes.
+      class NameEntry {
+        constructor(initial = 'AAA') {
+          this.slots = [];
+          for (let i = 0; i < NAME_LENGTH; i++) this.slots.push(Math.max(0, NAME_CHARS.indexOf(initial[i])));
+          this.cursor = 0;
+          this.done = false;
+        }
+
+        get name() { return this.slots.map(i => NAME_CHARS[i]).join(''); }
+
+        cycle(delta) {
+          const n = NAME_CHARS.length;
+          this.slots[this.cursor] = (this.slots[this.cursor] + delta + n) % n;
+        }
+
+        move(delta) {
+          this.cursor = Math.max(0, Math.min(NAME_LENGTH - 1, this.cursor + delta));
+        }
+
+        confirm() {
+          if (this.cursor < NAME_LENGTH - 1) this.move(1);
+          else this.done = true;
+        }
+
+        // KeyboardEvent.key; returns true if the key was used
+        handleKey(key) {
+          if (key === 'ArrowUp') this.cycle(1);
+          else if (key === 'ArrowDown') this.cycle(-1);
+          else if (key === 'ArrowLeft' || key === 'Backspace') this.move(-1);
+          else if (key === 'ArrowRight') this.move(1);
+          else if (key === 'Enter') this.confirm();
+          else if (key.length === 1 && NAME_CHARS.includes(key.toUpperCase())) {
+            this.slots[this.cursor] = NAME_CHARS.indexOf(key.toUpperCase());
+            this.move(1);
+          } else return false;
+          return true;
+        }
+
+        slotRect(i) {
+          return { x: WIDTH / 2 - 105 + i * 75, y: HEIGHT / 2 - 40, w: 60, h: 80 };
+        }
+
+        okRect() {
+          return { x: WIDTH / 2 - 50, y: HEIGHT / 2 + 70, w: 100, h: 40 };
+        }
+
+        // canvas-space tap; returns true if it hit a control
+        tap(x, y) {
+          const inside = r => x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h;
+          if (inside(this.okRect())) {
+            this.done = true;
+            return true;
+          }
+          for (let i = 0; i < NAME_LENGTH; i++) {
+            const r = this.slotRect(i);
+            if (!inside(r)) continue;
+            this.cursor = i;
+            this.cycle(y < r.y + r.h / 2 ? 1 : -1);
+            return true;
+          }
+          return false;
+        }
+
+        // label: whose score it is, shown before it (two-player games); glow: factor on the
+        // title's neon blur, 0 for none
+        draw(ctx, score, label = '', glow = 1) {
+          ctx.save();
+          ctx.fillStyle = 'rgba(4,3,25,0.85)';
+          ctx.fillRect(0, 0, WIDTH, HEIGHT);
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.shadowBlur = 12 * glow;
+          ctx.shadowColor = '#ffd84d';
+          ctx.fillStyle = '#ffd84d';
+          ctx.font = 'bold 30px monospace';
+          ctx.fillText('NEW HIGH SCORE', WIDTH / 2, HEIGHT / 2 - 130);
+          ctx.font = '18px monospace';
+          ctx.fillStyle = '#ffffff';
+          ctx.fillText(label ? `${label}  ${score}` : String(score), WIDTH / 2, HEIGHT / 2 - 95);
+          this.slots.forEach((c, i) => {
+            const r = this.slotRect(i);
+            const active = i === this.cursor;
+            ctx.shadowColor = active ? '#33e0ff' : 'transparent';
+            ctx.strokeStyle = active ? '#33e0ff' : 'rgba(255,255,255,0.3)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(r.x, r.y, r.w, r.h);
+            ctx.fillStyle = active ? '#33e0ff' : '#ffffff';
+            ctx.font = 'bold 40px monospace';
+            ctx.fillText(NAME_CHARS[c], r.x + r.w / 2, r.y + r.h / 2 + 2);
+            // cycle arrows
+            ctx.font = '12px monospace';
+            ctx.fillText('▲', r.x + r.w / 2, r.y + 10);
+            ctx.fillText('▼', r.x + r.w / 2, r.y + r.h - 10);
+          });
+          const ok = this.okRect();
+          ctx.shadowColor = '#7cff6a';
+          ctx.strokeStyle = '#7cff6a';
+          ctx.strokeRect(ok.x, ok.y, ok.w, ok.h);
+          ctx.fillStyle = '#7cff6a';
+          ctx.font = 'bold 18px monospace';
+          ctx.fillText('OK', ok.x + ok.w / 2, ok.y + ok.h / 2 + 1);
+          ctx.shadowBlur = 0;
+          ctx.fillStyle = 'rgba(255,255,255,0.6)';
+          ctx.font = '13px monospace';
+          ctx.fillText('↑/↓ pick a letter   ←/→ move   Enter to confirm', WIDTH / 2, HEIGHT / 2 + 140);
+          ctx.restore();
+        }
+      }
+
+      /* -------------------------
+         High-score screen
+         ------------------------- */
+      // options: { title, highlight: rank to mark (e.g. the entry just added), glow: factor on
+      // the title's neon blur (1 by default) }
+      function drawHighScores(ctx, table, options = {}) {
+        ctx.save();
+        ctx.fillStyle = 'rgba(4,3,25,0.9)';
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.shadowBlur = 12 * (options.glow === undefined ? 1 : options.glow);
+        ctx.shadowColor = '#33e0ff';
+        ctx.fillStyle = '#33e0ff';
+        ctx.font = 'bold 30px monospace';
+        ctx.fillText('HIGH SCORES', WIDTH / 2, 70);
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        ctx.font = '14px monospace';
+        ctx.fillText(options.title || `${table.mode} · ${table.packId}`, WIDTH / 2, 102);
+
+        ctx.font = 'bold 18px monospace';
+        const top = 150, step = 34;
+        if (!table.entries.length) {
+          ctx.fillStyle = '#ffffff';
+          ctx.fillText('No scores yet', WIDTH / 2, top + step * 2);
+        }
+        table.entries.forEach((e, i) => {
+          const y = top + i * step;
+          ctx.fillStyle = i === options.highlight ? '#ffd84d' : '#ffffff';
+          ctx.textAlign = 'right';
+          ctx.fillText(`${i + 1}.`, 200, y);
+          ctx.textAlign = 'left';
+          ctx.fillText(e.name, 220, y);
+          ctx.textAlign = 'right';
+          ctx.fillText(String(e.score), 440, y);
+          ctx.fillText(`L${e.level}`, 510, y);
+          ctx.fillStyle = i === options.highlight ? '#ffd84d' : 'rgba(255,255,255,0.6)';
+          ctx.fillText(e.date, 640, y);
+        });
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        ctx.font = '13px monospace';
+        ctx.fillText('Tap or press Enter to close', WIDTH / 2, HEIGHT - 40);
+        ctx.restore();
+      }
+
+      return {
+        MAX_SCORES, NAME_LENGTH, NAME_CHARS,
+        HighScoreTable, NameEntry, drawHighScores, today
+      };
+    });
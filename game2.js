@@ -2,796 +2,482 @@
     (function () {
       'use strict';
 
-      // Canvas setup
+      const {
+        WIDTH, HEIGHT, PADDLE_Y, BARRIER_Y, FIXED_DT, STATE, GAME_MODES, MODE_RULES, POWER_UPS, BRICK_PALETTES, DAILY_STAGES,
+        DAILY_MODIFIERS, clamp, Game, LevelManager
+      } = window.NeonEngine;
+      const { ReplayRecorder, ReplayPlayer, encodeReplay, decodeReplay } = window.NeonReplay;
+      const { LevelEditor } = window.NeonEditor;
+      const { HighScoreTable, NameEntry, drawHighScores, today } = window.NeonScores;
+      const { DailyHistory, dailyResult, shareText, formatTime, dayOfSeed } = window.NeonDaily;
+      const { Effects } = window.NeonFx;
+      const { ACTIONS, KEY_SLOTS, POINTER_MODES, PROFILES, ControlBindings, keyLabel, buttonLabel } = window.NeonControls;
+      const { AudioSettings, AudioEngine } = window.NeonAudio;
+
+      // Canvas setup; its size and scale are managed by the Viewport below
       const canvas = document.getElementById('canvas');
       const ctx = canvas.getContext('2d');
-
-      // Crisp pixel look
-      ctx.imageSmoothingEnabled = false;
+      const gameEl = document.getElementById('game');
+      const stage = document.getElementById('stage');
+      const btnFullscreen = document.getElementById('btnFullscreen');
 
       // HUD elements
       const elLives = document.getElementById('lives');
       const elScore = document.getElementById('score');
+      const elCombo = document.getElementById('combo');
       const elLevel = document.getElementById('level');
+      const elModeInfo = document.getElementById('modeInfo');
+      const elAnnouncer = document.getElementById('announcer'); // ARIA live region, see announce()
+      const elPlayers = [document.getElementById('player1'), document.getElementById('player2')];
+      const gameMode = document.getElementById('gameMode');
       const btnStart = document.getElementById('btnStart');
+      const btnContinue = document.getElementById('btnContinue');
       const btnPause = document.getElementById('btnPause');
       const btnReset = document.getElementById('btnReset');
+      const btnHighScores = document.getElementById('btnHighScores');
+      const dailyResults = document.getElementById('dailyResults');
+      const dailyShare = document.getElementById('dailyShare');
+      const dailyNote = document.getElementById('dailyNote');
+      const dailyHistory = document.getElementById('dailyHistory');
+      const btnDailyCopy = document.getElementById('btnDailyCopy');
+      const fxIntensity = document.getElementById('fxIntensity');
+      const musicVolume = document.getElementById('musicVolume');
+      const sfxVolume = document.getElementById('sfxVolume');
+      const btnMute = document.getElementById('btnMute');
+      const brickPalette = document.getElementById('brickPalette');
+      const assistMode = document.getElementById('assistMode');
+      const btnSaveReplay = document.getElementById('btnSaveReplay');
+      const btnLoadReplay = document.getElementById('btnLoadReplay');
+      const replayFile = document.getElementById('replayFile');
+      const replayControls = document.getElementById('replayControls');
+      const btnReplayPlay = document.getElementById('btnReplayPlay');
+      const replaySpeed = document.getElementById('replaySpeed');
+      const replayScrub = document.getElementById('replayScrub');
+      const replayTime = document.getElementById('replayTime');
+      const btnReplayExit = document.getElementById('btnReplayExit');
+      const packName = document.getElementById('packName');
+      const btnLoadLevels = document.getElementById('btnLoadLevels');
+      const btnBuiltinLevels = document.getElementById('btnBuiltinLevels');
+      const levelsFile = document.getElementById('levelsFile');
+      const btnEditor = document.getElementById('btnEditor');
+      const btnBackToEditor = document.getElementById('btnBackToEditor');
 
-      // Game constants
-      const WIDTH = canvas.width;
-      const HEIGHT = canvas.height;
-      const PADDLE_Y = HEIGHT - 36;
-      const PADDLE_BASE_WIDTH = 120;
-      const PADDLE_HEIGHT = 16;
-      const BALL_RADIUS = 6;
-      const BRICK_ROWS = 6;
-      const BRICK_COLS = 10;
-      const BRICK_W = Math.floor((WIDTH - 80) / BRICK_COLS);
-      const BRICK_H = 22;
-      const POWER_CHANCE = 0.18; // chance a destroyed brick drops a power-up
-
-      // Game states
-      const STATE = { READY: 'READY', PLAYING: 'PLAYING', PAUSED: 'PAUSED', LEVEL_COMPLETE: 'LEVEL_COMPLETE', GAME_OVER: 'GAME_OVER' };
+      function now() { return performance.now(); }
 
       /* -------------------------
-         Utility helpers
+         Viewport: logical playfield, letterboxed and scaled for HiDPI screens
          ------------------------- */
-      function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
-      function randChoice(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
-      function now() { return performance.now(); }
+      // The engine and every draw call work in logical WIDTH × HEIGHT units. The canvas element
+      // is sized to the largest box of that aspect that fits the stage (the stage background
+      // shows as bars around it), and its backing store to that size × devicePixelRatio.
+      class Viewport {
+        constructor(canvas, stage, container) {
+          this.canvas = canvas;
+          this.stage = stage;
+          this.container = container; // element shown fullscreen
+          this.ctx = canvas.getContext('2d');
+          this.scale = 1; // backing-store pixels per logical unit
+          const fit = () => this.fit();
+          window.addEventListener('resize', fit);
+          window.addEventListener('orientationchange', fit);
+          document.addEventListener('fullscreenchange', fit);
+          document.addEventListener('webkitfullscreenchange', fit);
+          this.fit();
+        }
+
+        fit() {
+          const fitScale = Math.min(this.stage.clientWidth / WIDTH, this.stage.clientHeight / HEIGHT) || 1;
+          const cssW = Math.floor(WIDTH * fitScale), cssH = Math.floor(HEIGHT * fitScale);
+          this.canvas.style.width = `${cssW}px`;
+          this.canvas.style.height = `${cssH}px`;
+          const dpr = window.devicePixelRatio || 1;
+          const w = Math.round(cssW * dpr), h = Math.round(cssH * dpr);
+          if (this.canvas.width !== w || this.canvas.height !== h) {
+            // resizing the backing store resets the context
+            this.canvas.width = w;
+            this.canvas.height = h;
+          }
+          this.scale = w / WIDTH;
+          this.ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+          this.ctx.imageSmoothingEnabled = false; // crisp pixel look
+        }
+
+        // client (CSS pixel) coordinates -> logical playfield coordinates
+        toLogical(clientX, clientY) {
+          const rect = this.canvas.getBoundingClientRect();
+          return {
+            x: (clientX - rect.left) * (WIDTH / rect.width),
+            y: (clientY - rect.top) * (HEIGHT / rect.height)
+          };
+        }
+
+        get fullscreen() {
+          return !!(document.fullscreenElement || document.webkitFullscreenElement) ||
+            this.container.classList.contains('pseudo-fullscreen');
+        }
+
+        // the Fullscreen API where there is one; otherwise (e.g. iPhone Safari) the container is
+        // pinned over the page with CSS
+        toggleFullscreen() {
+          const el = this.container;
+          const request = el.requestFullscreen || el.webkitRequestFullscreen;
+          const exit = document.exitFullscreen || document.webkitExitFullscreen;
+          if (document.fullscreenElement || document.webkitFullscreenElement) {
+            exit.call(document);
+          } else if (el.classList.contains('pseudo-fullscreen') || !request) {
+            el.classList.toggle('pseudo-fullscreen');
+            this.fit();
+          } else {
+            Promise.resolve(request.call(el))
+              .then(() => screen.orientation && screen.orientation.lock && screen.orientation.lock('landscape'))
+              .catch(() => { /* orientation lock is optional */ });
+          }
+        }
+      }
 
       /* -------------------------
-         Input Manager (keyboard + touch)
+         Input Manager (keyboard + gamepad + mouse/touch)
          ------------------------- */
+      // Keys and gamepad buttons go through the player's bindings. An action is held while any
+      // key or button bound to it is down; onAction(action) fires when it is pressed. A touch
+      // always drags the paddle; a mouse drags it, follows the cursor or, with the pointer
+      // locked, moves it by relative motion (bindings.controls.pointer).
+      // options: { padSlot: which connected gamepad to read (0 = the first), pointer: false for
+      // a player without mouse or touch (the second co-op player) }
       class Input {
-        constructor(canvas) {
+        constructor(viewport, bindings, options = {}) {
           this.left = false;
           this.right = false;
           this.launch = false;
           this.pointerDown = false;
           this.pointerX = 0;
-          this.canvas = canvas;
+          this.axis = 0; // analog stick, see ControlBindings.readGamepad()
+          this.viewport = viewport;
+          this.canvas = viewport.canvas;
+          this.bindings = bindings;
+          this.onAction = null;
+          this.suspended = false; // ignore keys and buttons (controls screen open)
+          this.held = {}; // action -> Set of sources holding it ('key:<code>' or 'pad')
+          for (const action of Object.keys(ACTIONS)) this.held[action] = new Set();
+          this.padState = null; // last gamepad reading
+          this.padSlot = options.padSlot || 0;
           this._bind();
+          if (options.pointer !== false) this._bindPointer();
+        }
+
+        _press(source, action, down) {
+          const held = this.held[action];
+          if (down === held.has(source)) return; // key repeat, or already released
+          if (down) held.add(source);
+          else held.delete(source);
+          // keys take the paddle back from a mouse that steers without a button
+          if (down && (action === 'left' || action === 'right') && this.bindings.controls.pointer !== 'drag') this.pointerDown = false;
+          if (action === 'left' || action === 'right') this[action] = held.size > 0;
+          else if (action === 'launch') this.launch = held.size > 0;
+          if (down && this.onAction) this.onAction(action);
         }
+
+        // let go of everything (focus lost, controls screen opened)
+        release() {
+          for (const action of Object.keys(this.held)) {
+            for (const source of [...this.held[action]]) this._press(source, action, false);
+          }
+          this.axis = 0;
+        }
+
+        // read this player's gamepad; call once per frame
+        pollGamepad() {
+          const pad = connectedPad(this.padSlot);
+          const state = pad && !this.suspended ? this.bindings.readGamepad(pad) : null;
+          this.axis = state ? state.axis : 0;
+          if (this.axis && this.bindings.controls.pointer !== 'drag') this.pointerDown = false;
+          for (const action of Object.keys(ACTIONS)) this._press('pad', action, !!(state && state[action]));
+          this.padState = state;
+        }
+
         _bind() {
           window.addEventListener('keydown', (e) => {
-            if (e.code === 'ArrowLeft' || e.code === 'KeyA') this.left = true;
-            if (e.code === 'ArrowRight' || e.code === 'KeyD') this.right = true;
-            if (e.code === 'Space') this.launch = true;
+            const action = this.bindings.actionForKey(e.code);
+            if (action && !this.suspended) this._press(`key:${e.code}`, action, true);
           });
           window.addEventListener('keyup', (e) => {
-            if (e.code === 'ArrowLeft' || e.code === 'KeyA') this.left = false;
-            if (e.code === 'ArrowRight' || e.code === 'KeyD') this.right = false;
-            if (e.code === 'Space') this.launch = false;
+            const action = this.bindings.actionForKey(e.code);
+            if (action) this._press(`key:${e.code}`, action, false);
           });
+          window.addEventListener('blur', () => this.release());
+        }
 
-          // Pointer events for paddle drag & tap to launch
+        _bindPointer() {
+          // Pointer events: paddle steering and click/tap to launch
           this.canvas.addEventListener('pointerdown', (e) => {
+            if (!(this._mode(e) === 'lock' && this.locked)) this.pointerX = this._pointerX(e);
             this.pointerDown = true;
-            const rect = this.canvas.getBoundingClientRect();
-            this.pointerX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
-            // immediate launch on tap if state READY
             this.launch = true;
           });
-          window.addEventListener('pointerup', () => {
-            this.pointerDown = false;
+          window.addEventListener('pointerup', (e) => {
+            if (this._mode(e) === 'drag') this.pointerDown = false;
             this.launch = false;
           });
           window.addEventListener('pointermove', (e) => {
-            if (!this.pointerDown) return;
-            const rect = this.canvas.getBoundingClientRect();
-            this.pointerX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+            const mode = this._mode(e);
+            if (mode === 'lock' && this.locked) {
+              const rect = this.canvas.getBoundingClientRect();
+              const dx = e.movementX * (WIDTH / rect.width) * this.bindings.controls.pointerSensitivity;
+              this.pointerX = clamp(this.pointerX + dx, 0, WIDTH);
+              this.pointerDown = true;
+            } else if (mode === 'follow' || this.pointerDown) {
+              this.pointerX = this._pointerX(e);
+              this.pointerDown = true;
+            }
+          });
+          document.addEventListener('pointerlockchange', () => {
+            if (!this.locked) this.pointerDown = false;
           });
         }
-      }
-
-      /* -------------------------
-         Sound (small WebAudio SFX & simple music)
-         ------------------------- */
-      class Sound {
-        constructor() {
-          try {
-            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-          } catch (e) {
-            this.ctx = null;
-          }
-          this.masterGain = this.ctx ? this.ctx.createGain() : null;
-          if (this.masterGain) {
-            this.masterGain.gain.value = 0.12;
-            this.masterGain.connect(this.ctx.destination);
-          }
-        }
-
-        _playOsc(freq, type, time, duration = 0.08, gain = 0.12) {
-          if (!this.ctx) return;
-          const o = this.ctx.createOscillator();
-          o.type = type;
-          o.frequency.value = freq;
-          const g = this.ctx.createGain();
-          g.gain.value = gain;
-          o.connect(g);
-          g.connect(this.masterGain);
-          const t0 = this.ctx.currentTime + time;
-          g.gain.setValueAtTime(gain, t0);
-          g.gain.exponentialRampToValueAtTime(0.0001, t0 + duration);
-          o.start(t0);
-          o.stop(t0 + duration + 0.02);
-        }
-
-        hit() { this._playOsc(860, 'sawtooth', 0, 0.06, 0.08); }
-        break() { this._playOsc(420, 'triangle', 0, 0.12, 0.12); }
-        power() { this._playOsc(1200, 'square', 0, 0.12, 0.12); }
-
-        // simple background loop using scheduled notes (non-musical but chiptune-like)
-        startMusic() {
-          if (!this.ctx) return;
-          if (this._musicId) return;
-          const ctx = this.ctx;
-          const master = this.masterGain;
-          let i = 0;
-          const pattern = [440, 660, 880, 660];
-          const playNote = () => {
-            const freq = pattern[i % pattern.length] * (i % 2 === 0 ? 1 : 0.5);
-            const o = ctx.createOscillator();
-            o.type = 'triangle';
-            o.frequency.value = freq;
-            const g = ctx.createGain();
-            g.gain.value = 0.01;
-            o.connect(g); g.connect(master);
-            const nowt = ctx.currentTime;
-            g.gain.linearRampToValueAtTime(0.01, nowt + 0.01);
-            g.gain.linearRampToValueAtTime(0.004, nowt + 0.22);
-            o.start(nowt);
-            o.stop(nowt + 0.25);
-            i++;
-            this._musicId = setTimeout(playNote, 250);
-          };
-          playNote();
-        }
-        stopMusic() {
-          if (this._musicId) {
-            clearTimeout(this._musicId);
-            this._musicId = null;
-          }
-        }
-      }
 
-      /* -------------------------
-         Game Objects
-         ------------------------- */
-
-      // Paddle: controlled by player; has width, x, y; can expand with power-up
-      class Paddle {
-        constructor() {
-          this.width = PADDLE_BASE_WIDTH;
-          this.height = PADDLE_HEIGHT;
-          this.x = WIDTH / 2 - this.width / 2;
-          this.y = PADDLE_Y;
-          this.speed = 960; // px/s movement speed when keyboard controlled
-          this.expireTimer = 0; // timer for larger paddle power-up
-          this.color = '#ffffff';
-        }
-
-        update(dt, input) {
-          // keyboard movement
-          let move = 0;
-          if (input.left) move -= 1;
-          if (input.right) move += 1;
-
-          // pointer drag movement overrides keyboard
-          if (input.pointerDown) {
-            // pointerX is canvas-space; center paddle on pointerX
-            const targetX = clamp(input.pointerX - this.width / 2, 12, WIDTH - 12 - this.width);
-            // smooth move
-            this.x = this.x + (targetX - this.x) * clamp(dt * 12, 0, 1);
-          } else {
-            if (move !== 0) {
-              this.x += move * this.speed * dt;
-              this.x = clamp(this.x, 12, WIDTH - 12 - this.width);
-            } else {
-              // slight easing to center edges
-              this.x = clamp(this.x, 12, WIDTH - 12 - this.width);
-            }
-          }
+        get locked() { return document.pointerLockElement === this.canvas; }
 
-          // power-up expiration
-          if (this.expireTimer > 0) {
-            this.expireTimer -= dt;
-            if (this.expireTimer <= 0) {
-              this.width = PADDLE_BASE_WIDTH;
-            }
-          }
-        }
-
-        applyPower(type) {
-          if (type === 'paddle') {
-            this.width = PADDLE_BASE_WIDTH * 1.6;
-            this.expireTimer = 12; // lasts for 12 seconds
-          }
+        // the mouse mode applies to mice only; touch and pen always drag
+        _mode(e) {
+          return e.pointerType === 'mouse' ? this.bindings.controls.pointer : 'drag';
         }
 
-        draw(ctx) {
-          // neon style paddle (rounded rectangle)
-          ctx.save();
-          ctx.fillStyle = '#041219';
-          ctx.fillRect(this.x - 2, this.y - 2, this.width + 4, this.height + 4);
-          // glow
-          ctx.shadowColor = 'rgba(51,224,255,0.28)';
-          ctx.shadowBlur = 10;
-          ctx.fillStyle = 'linear-gradient(90deg,#33e0ff,#ff4dd2)';
-          ctx.fillStyle = '#33e0ff';
-          ctx.fillRect(this.x, this.y, this.width, this.height);
-          ctx.restore();
+        // pointer event -> paddle target; following the cursor scales its distance from the
+        // centre by the sensitivity
+        _pointerX(e) {
+          const x = this.viewport.toLogical(e.clientX, e.clientY).x;
+          if (this._mode(e) !== 'follow') return x;
+          return clamp(WIDTH / 2 + (x - WIDTH / 2) * this.bindings.controls.pointerSensitivity, 0, WIDTH);
         }
+      }
 
-        // rectangle for collision
-        getRect() {
-          return { x: this.x, y: this.y, w: this.width, h: this.height };
-        }
+      // the slot-th connected gamepad (0 = the first), or undefined
+      function connectedPad(slot) {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        return Array.prototype.filter.call(pads || [], p => p && p.connected)[slot];
       }
 
-      // Ball: simple physics, maintains velocity and position
-      class Ball {
-        constructor(x, y, speed = 360) {
-          this.x = x;
-          this.y = y;
-          // initial velocity will be set on launch
-          this.vx = 0;
-          this.vy = 0;
-          this.radius = BALL_RADIUS;
-          this.speed = speed; // magnitude speed (px/s)
-          this.stuck = true; // stuck to paddle until launch
-          this.spin = 0; // visual spin
-          this.color = '#ffd84d';
+      /* -------------------------
+         Canvas renderer (adapter injected into Game)
+         ------------------------- */
+      class CanvasRenderer {
+        constructor(viewport) {
+          this.viewport = viewport;
+          this.ctx = viewport.ctx;
+          this.fx = new Effects(); // particles, shake and flash
+          this.lastDraw = now();
+          this.brickRedraws = 0; // for the frame-time overlay
+          this.glow = 1; // factor on the neon shadowBlur of everything drawn, 0 for reduced motion
+          this.palette = null; // entry of BRICK_PALETTES the bricks are drawn in
+          this._buildLayers();
         }
 
-        attachToPaddle(paddle) {
-          this.stuck = true;
-          this.x = paddle.x + paddle.width / 2;
-          this.y = paddle.y - this.radius - 2;
+        // neon glow on or off for everything drawn, including the cached bricks
+        setGlow(on) {
+          this.glow = on ? 1 : 0;
+          this.brickVersion = -1; // redraw the cached bricks
         }
 
-        launch(ang = -Math.PI / 4) {
-          // ang is angle in radians measured from +x axis; but we'll use angle where up is negative y
-          this.stuck = false;
-          this.vx = this.speed * Math.cos(ang);
-          this.vy = this.speed * Math.sin(ang);
+        setPalette(palette) {
+          this.palette = palette;
+          this.brickVersion = -1; // redraw the cached bricks
         }
 
-        setVelocityFromSpeed(angle) {
-          this.vx = this.speed * Math.cos(angle);
-          this.vy = this.speed * Math.sin(angle);
+        // offscreen layers at the viewport's resolution; rebuilt when it changes
+        _buildLayers() {
+          this.scale = this.viewport.scale;
+          // static background, drawn once
+          this.background = createLayer(this.scale);
+          drawBackground(this.background.getContext('2d'));
+          // bricks that stay put, redrawn only when the game's brickVersion changes
+          this.brickLayer = createLayer(this.scale);
+          this.brickGame = null;
+          this.brickVersion = -1;
         }
 
-        update(dt) {
-          if (this.stuck) return;
-          this.x += this.vx * dt;
-          this.y += this.vy * dt;
-          // basic wall collisions (left/right/top)
-          if (this.x - this.radius <= 8) {
-            this.x = 8 + this.radius; this.vx = Math.abs(this.vx);
-          }
-          if (this.x + this.radius >= WIDTH - 8) {
-            this.x = WIDTH - 8 - this.radius; this.vx = -Math.abs(this.vx);
-          }
-          if (this.y - this.radius <= 8) {
-            this.y = 8 + this.radius; this.vy = Math.abs(this.vy);
-          }
-          // bottom handled by game logic (ball lost)
+        _updateBrickLayer(game) {
+          if (this.brickGame === game && this.brickVersion === game.brickVersion) return;
+          this.brickGame = game;
+          this.brickVersion = game.brickVersion;
+          this.brickRedraws++;
+          const c = this.brickLayer.getContext('2d');
+          c.clearRect(0, 0, WIDTH, HEIGHT);
+          for (const b of game.bricks) if (b.type !== 'moving') b.draw(c, this.palette, this.glow);
         }
 
-        // reflect off rectangular surface with normal (nx,ny)
-        reflect(nx, ny, speedMultiplier = 1.0) {
-          // reflect velocity vector across normal: v' = v - 2*(v·n)*n
-          const vDotN = this.vx * nx + this.vy * ny;
-          this.vx = this.vx - 2 * vDotN * nx;
-          this.vy = this.vy - 2 * vDotN * ny;
+        draw(game) {
+          const { ctx, glow } = this;
+          const t = now();
+          const frameDt = Math.min((t - this.lastDraw) / 1000, 0.1);
+          this.lastDraw = t;
+          // effects follow whichever game is shown (the live run or a replay)
+          if (this.fx.game !== game) this.fx.attach(game);
+          this.fx.update(frameDt, game.state === STATE.PAUSED);
+          if (this.scale !== this.viewport.scale) this._buildLayers();
 
-          // normalize speed to maintain magnitude (with optional multiplier)
-          const mag = Math.hypot(this.vx, this.vy) || 1;
-          const desired = this.speed * speedMultiplier;
-          this.vx = (this.vx / mag) * desired;
-          this.vy = (this.vy / mag) * desired;
-        }
+          // cached background (opaque, so no clear needed)
+          ctx.drawImage(this.background, 0, 0, WIDTH, HEIGHT);
 
-        draw(ctx) {
+          // the playfield shakes, the background and overlays stay put
           ctx.save();
-          ctx.beginPath();
-          ctx.fillStyle = '#041219';
-          ctx.arc(this.x, this.y, this.radius + 2.5, 0, Math.PI * 2);
-          ctx.fill();
-          // neon glow
-          ctx.shadowColor = '#ffd84d';
-          ctx.shadowBlur = 18;
-          ctx.beginPath();
-          ctx.fillStyle = this.color;
-          ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-          ctx.fill();
-          ctx.restore();
-        }
-      }
+          this.fx.applyShake(ctx);
 
-      // Brick: rectangular bricks with color and hp
-      class Brick {
-        constructor(x, y, w, h, color, hp = 1) {
-          this.x = x; this.y = y; this.w = w; this.h = h;
-          this.color = color; this.hp = hp;
-          this.alive = true;
-        }
+          // cached bricks, then the moving ones
+          this._updateBrickLayer(game);
+          ctx.drawImage(this.brickLayer, 0, 0, WIDTH, HEIGHT);
+          for (const b of game.activeBricks) if (b.type === 'moving') b.draw(ctx, this.palette, glow);
 
-        hit() {
-          this.hp--;
-          if (this.hp <= 0) this.alive = false;
-        }
+          // boss and its shots
+          if (game.boss) {
+            game.boss.draw(ctx, glow);
+            game.boss.drawHealthBar(ctx, glow);
+          }
+          for (const h of game.hazards) h.draw(ctx, glow);
 
-        draw(ctx) {
-          if (!this.alive) return;
-          // neon brick with inner highlight and border
-          ctx.save();
-          ctx.fillStyle = '#041219';
-          ctx.fillRect(this.x - 2, this.y - 2, this.w + 4, this.h + 4);
-          ctx.shadowColor = this.color;
-          ctx.shadowBlur = 14;
-          ctx.fillStyle = this.color;
-          ctx.fillRect(this.x, this.y, this.w, this.h);
-          // inner glow stripe
-          ctx.shadowBlur = 0;
-          ctx.fillStyle = 'rgba(255,255,255,0.12)';
-          ctx.fillRect(this.x + 6, this.y + 4, this.w - 12, Math.floor(this.h / 3));
-          ctx.restore();
-        }
-      }
+          // draw power-ups and laser bolts
+          for (const p of game.powerups) p.draw(ctx, glow);
+          for (const p of game.projectiles) p.draw(ctx, glow);
 
-      // PowerUp: falls down when spawned; types: multi, paddle, speed
-      class PowerUp {
-        constructor(x, y, type) {
-          this.x = x; this.y = y; this.type = type;
-          this.radius = 10;
-          this.vy = 90; // falling speed px/s
-          this.alive = true;
-          this.duration = (type === 'speed') ? 10 : (type === 'paddle') ? 12 : 0; // seconds
-        }
+          // safety barrier power-up
+          if (game.barrier) drawBarrier(glow);
 
-        update(dt) {
-          this.y += this.vy * dt;
-          if (this.y > HEIGHT + 40) this.alive = false;
-        }
+          // draw paddles; co-op marks where each player's half ends
+          if (game.paddles.length > 1) drawHalfLine();
+          for (const p of game.paddles) p.draw(ctx, glow);
 
-        draw(ctx) {
-          ctx.save();
-          ctx.beginPath();
-          ctx.shadowBlur = 14;
-          if (this.type === 'multi') { ctx.fillStyle = '#ff79d6'; ctx.shadowColor = '#ff4dd2'; }
-          else if (this.type === 'paddle') { ctx.fillStyle = '#33e0ff'; ctx.shadowColor = '#33e0ff'; }
-          else { ctx.fillStyle = '#ffd84d'; ctx.shadowColor = '#ffd84d'; }
-          ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-          ctx.fill();
-          ctx.restore();
+          // particles under the balls so trails sit behind them
+          this.fx.draw(ctx);
 
-          // letter indicator
-          ctx.save();
-          ctx.fillStyle = '#041219';
-          ctx.font = 'bold 12px monospace';
-          ctx.textAlign = 'center';
-          ctx.textBaseline = 'middle';
-          const label = this.type === 'multi' ? 'M' : this.type === 'paddle' ? 'P' : 'S';
-          ctx.fillText(label, this.x, this.y + 1);
+          // draw balls
+          for (const b of game.balls) b.draw(ctx, game.fireball, glow);
+
+          // points scored, floating up from where they were earned
+          game.scoring.drawPopups(ctx, glow);
           ctx.restore();
-        }
-      }
+          this.fx.drawFlash(ctx);
 
-      /* -------------------------
-         Level Manager: layouts & progression
-         ------------------------- */
-      class LevelManager {
-        constructor() {
-          this.level = 1;
-          this.levels = this._generateLevels();
-        }
-
-        _generateLevels() {
-          // produce several levels with varied patterns; returns array of brick arrays
-          const levels = [];
-
-          // Helper to create grid
-          const makeGrid = (rows, cols, offsetX, offsetY, colors) => {
-            const arr = [];
-            for (let r = 0; r < rows; r++) {
-              for (let c = 0; c < cols; c++) {
-                const x = 40 + c * (BRICK_W + 2);
-                const y = 60 + r * (BRICK_H + 6) + offsetY;
-                const color = colors[(r + c) % colors.length];
-                arr.push(new Brick(x, y, BRICK_W, BRICK_H, color));
-              }
-            }
-            return arr;
-          };
+          // active timed power-ups
+          drawEffects(game.effects);
+          // the clock of a time-attack run, the next descent of a survival one
+          if (game.mode === 'timeattack') drawCountdown(game, glow);
+          else if (game.mode === 'survival') drawDescent(game);
 
-          // Level 1: classic rainbow grid
-          levels.push(makeGrid(3, BRICK_COLS, 0, 0, ['#ff4dd2', '#33e0ff', '#7cff6a', '#ffd84d']));
-
-          // Level 2: staggered with tougher bricks
-          const lvl2 = [];
-          for (let r = 0; r < 4; r++) {
-            for (let c = 0; c < BRICK_COLS; c++) {
-              if ((r + c) % 2 === 0) {
-                lvl2.push(new Brick(40 + c * (BRICK_W + 2), 60 + r * (BRICK_H + 6), BRICK_W, BRICK_H, '#7cff6a', 2));
-              } else {
-                lvl2.push(new Brick(40 + c * (BRICK_W + 2), 60 + r * (BRICK_H + 6), BRICK_W, BRICK_H, '#33e0ff', 1));
-              }
-            }
-          }
-          levels.push(lvl2);
-
-          // Level 3: walls and center diamond
-          const lvl3 = [];
-          for (let r = 0; r < 5; r++) {
-            for (let c = 0; c < BRICK_COLS; c++) {
-              if (c < 2 || c > BRICK_COLS - 3) continue; // columns removed to create gaps
-              const x = 40 + c * (BRICK_W + 2);
-              const y = 60 + r * (BRICK_H + 6);
-              lvl3.push(new Brick(x, y, BRICK_W, BRICK_H, '#ff4dd2', (r === 2 && (c >= 4 && c <= 5)) ? 3 : 1));
-            }
-          }
-          levels.push(lvl3);
-
-          // Level 4+: generate pattern with increasing hp
-          for (let L = 4; L <= 6; L++) {
-            const arr = [];
-            const rows = 3 + L - 1;
-            for (let r = 0; r < rows; r++) {
-              for (let c = 0; c < BRICK_COLS; c++) {
-                const hp = 1 + Math.floor((r + c + L) / 6);
-                const colors = ['#33e0ff', '#ff4dd2', '#ffd84d'];
-                arr.push(new Brick(40 + c * (BRICK_W + 2), 60 + r * (BRICK_H + 6), BRICK_W, BRICK_H, colors[(r + c) % colors.length], hp));
-              }
-            }
-            levels.push(arr);
+          // draw HUD overlays (center messages)
+          if (game.state === STATE.READY && game.mode === 'alternate') {
+            drawCenteredText(`PLAYER ${game.turn + 1}`, 30, PLAYER_COLORS[game.turn], glow);
+            drawCenteredSubText('Tap or Press Space to Launch', 16, '#ffd84d');
+          } else if (game.state === STATE.READY && game.mode === 'daily' && game.currentLevel === 1) {
+            drawCenteredText('DAILY CHALLENGE', 30, '#7cff6a', glow);
+            drawCenteredSubText(`${modifierLabels(game)} - Tap or Press Space to Launch`, 16, '#ffd84d');
+          } else if (game.state === STATE.READY) {
+            drawCenteredText('Tap or Press Space to Launch', 20, '#ffd84d', glow);
+          } else if (game.state === STATE.PAUSED) {
+            drawCenteredText('PAUSED', 34, '#33e0ff', glow);
+          } else if (game.state === STATE.LEVEL_COMPLETE) {
+            drawCenteredText('LEVEL CLEARED!', 28, '#7cff6a', glow);
+            drawBonus(game.scoring.bonus);
+          } else if (game.state === STATE.GAME_OVER) {
+            drawCenteredText(gameOverTitle(game), 34, '#ff4dd2', glow);
+            drawCenteredSubText(isSolo(game) ? 'Press Reset to try again' : `${playerScores(game)} - press Reset to play again`, 16, '#ffd84d');
+          } else if (game.state === STATE.VICTORY) {
+            drawCenteredText(game.mode === 'daily' ? 'DAILY COMPLETE!' : 'CAMPAIGN COMPLETE!', 30, '#7cff6a', glow);
+            const scores = isSolo(game) ? `Final score ${game.score}` : playerScores(game);
+            drawCenteredSubText(`${scores} - press Reset to play again`, 16, '#ffd84d');
           }
-
-          return levels;
         }
 
-        getBricksForLevel(n) {
-          return JSON.parse(JSON.stringify(this.levels[n - 1]), (k, v) => {
-            // reconstruct Brick objects (we serialized to plain objects)
-            if (v && typeof v === 'object' && 'x' in v && 'w' in v && 'h' in v && 'color' in v) {
-              const b = new Brick(v.x, v.y, v.w, v.h, v.color, v.hp);
-              b.alive = v.alive;
-              return b;
-            }
-            return v;
+        updateHUD(game) {
+          elLives.textContent = `LIVES: ${game.lives}`;
+          elScore.textContent = `SCORE: ${game.score}`;
+          elCombo.textContent = `COMBO: x${game.scoring.multiplier}`;
+          elCombo.classList.toggle('hot', game.scoring.multiplier > 1);
+          // endless runs show how deep they got and the seed that generated the stages, so
+          // runs on the same seed can be compared; daily runs, the stages left and the
+          // day's modifiers; time-attack runs, the splits of the levels cleared; survival
+          // runs, how far the field has come down
+          if (game.mode === 'endless') elLevel.textContent = `DEPTH: ${game.currentLevel}`;
+          else if (game.mode === 'daily') elLevel.textContent = `LEVEL: ${game.currentLevel}/${game.stages.maxLevel()}`;
+          else if (game.mode === 'survival') elLevel.textContent = `ROWS: ${game.modeState.descents}`;
+          else elLevel.textContent = `LEVEL: ${game.currentLevel}${game.boss ? ' BOSS' : ''}`;
+          const info = modeInfo(game);
+          elModeInfo.hidden = !info;
+          elModeInfo.textContent = info;
+          btnPause.textContent = game.state === STATE.PAUSED ? 'Resume' : 'Pause';
+          // two-player modes: each player's standing; in alternate mode the stats above are
+          // those of the player whose turn it is
+          const stats = isSolo(game) ? [] : game.playerStats();
+          elPlayers.forEach((el, i) => {
+            const p = stats[i];
+            el.hidden = !p;
+            if (!p) return;
+            const lives = p.finished ? 'DONE' : `♥${p.lives}`;
+            el.textContent = game.mode === 'alternate' ? `P${i + 1} ${lives} ${p.score} L${p.level}` : `P${i + 1} ${p.score}`;
+            el.classList.toggle('turn', game.mode === 'alternate' && p.active);
           });
         }
-
-        maxLevel() { return this.levels.length; }
       }
 
       /* -------------------------
-         Game class orchestrates everything
+         Rendering helpers (neon background and text)
          ------------------------- */
-      class Game {
-        constructor() {
-          this.state = STATE.READY;
-          this.input = new Input(canvas);
-          this.sound = new Sound();
-          this.levelManager = new LevelManager();
-          this.currentLevel = 1;
-          this.bricks = this.levelManager.getBricksForLevel(this.currentLevel);
-          this.paddle = new Paddle();
-          this.balls = [new Ball(this.paddle.x + this.paddle.width / 2, this.paddle.y - BALL_RADIUS - 2)];
-          this.balls[0].attachToPaddle(this.paddle);
-          this.powerups = [];
-          this.lives = 3;
-          this.score = 0;
-          this.lastTime = now();
-          this.pauseFlag = false;
-          this.scoreToAdd = 0;
-          this.speedBoostTimer = 0;
-          this.multiBallTimer = 0;
-          this._bindUI();
-          this.sound.startMusic();
-          this._loop();
-        }
-
-        _bindUI() {
-          btnStart.addEventListener('click', () => {
-            if (this.state === STATE.READY || this.state === STATE.LEVEL_COMPLETE) this.startLevel();
-            else if (this.state === STATE.PLAYING) { /* nothing */ }
-          });
-          btnPause.addEventListener('click', () => {
-            if (this.state === STATE.PLAYING) this.togglePause();
-            else if (this.state === STATE.PAUSED) this.togglePause();
-          });
-          btnReset.addEventListener('click', () => this.resetGame());
-
-          // focus canvas for keyboard controls
-          canvas.addEventListener('click', () => canvas.focus());
-        }
-
-        resetGame() {
-          this.currentLevel = 1;
-          this.bricks = this.levelManager.getBricksForLevel(this.currentLevel);
-          this.paddle = new Paddle();
-          this.balls = [new Ball(this.paddle.x + this.paddle.width / 2, this.paddle.y - BALL_RADIUS - 2)];
-          this.balls[0].attachToPaddle(this.paddle);
-          this.powerups = [];
-          this.lives = 3;
-          this.score = 0;
-          this.state = STATE.READY;
-          this.speedBoostTimer = 0;
-          this.multiBallTimer = 0;
-          this._updateHUD();
-        }
-
-        startLevel() {
-          if (this.state === STATE.LEVEL_COMPLETE) {
-            // advance
-            this.currentLevel++;
-            if (this.currentLevel > this.levelManager.maxLevel()) {
-              this.currentLevel = 1; // wrap or end game
-            }
-            this.bricks = this.levelManager.getBricksForLevel(this.currentLevel);
-          }
-          // reset paddle/balls
-          this.paddle = new Paddle();
-          this.balls = [new Ball(this.paddle.x + this.paddle.width / 2, this.paddle.y - BALL_RADIUS - 2)];
-          this.balls.forEach(b => b.attachToPaddle(this.paddle));
-          this.powerups = [];
-          this.state = STATE.PLAYING;
-          this._updateHUD();
-        }
-
-        togglePause() {
-          if (this.state === STATE.PLAYING) { this.state = STATE.PAUSED; btnPause.textContent = 'Resume'; }
-          else if (this.state === STATE.PAUSED) { this.state = STATE.PLAYING; btnPause.textContent = 'Pause'; }
-        }
-
-        _updateHUD() {
-          elLives.textContent = `LIVES: ${this.lives}`;
-          elScore.textContent = `SCORE: ${this.score}`;
-          elLevel.textContent = `LEVEL: ${this.currentLevel}`;
-        }
+      const PLAYER_COLORS = ['#33e0ff', '#ff4dd2']; // as their paddles
 
-        _loop() {
-          const t = now();
-          let dt = (t - this.lastTime) / 1000;
-          if (dt > 0.05) dt = 0.05; // clamp
-          this.lastTime = t;
-
-          if (this.state === STATE.PLAYING) {
-            this.update(dt);
-          }
-          this.draw();
-          requestAnimationFrame(() => this._loop());
-        }
-
-        update(dt) {
-          // Paddle movement (keyboard or touch)
-          this.paddle.update(dt, this.input);
-
-          // Ball updates
-          for (const ball of this.balls) {
-            if (ball.stuck) {
-              // attach to paddle while stuck
-              ball.x = this.paddle.x + this.paddle.width / 2;
-              ball.y = this.paddle.y - ball.radius - 2;
-              // launch if player pressed launch button
-              if (this.input.launch) {
-                // launch at a randomized upward angle for variety
-                const angle = -Math.PI / 2 + (Math.random() * 0.6 - 0.3);
-                ball.speed *= (this.speedBoostTimer > 0) ? 1.08 : 1.0;
-                ball.vx = ball.speed * Math.cos(angle);
-                ball.vy = ball.speed * Math.sin(angle);
-                ball.stuck = false;
-                this.input.launch = false;
-              }
-            } else {
-              ball.update(dt);
-            }
-          }
-
-          // Ball-paddle collisions
-          for (const ball of this.balls) {
-            if (ball.stuck) continue;
-            const r = this.paddle.getRect();
-            if (circleRectCollision(ball.x, ball.y, ball.radius, r.x, r.y, r.w, r.h)) {
-              // compute hit factor based on where ball hits paddle; -1 left .. 1 right
-              const relative = (ball.x - (r.x + r.w / 2)) / (r.w / 2);
-              const bounceAngle = relative * (Math.PI / 3) - Math.PI / 2; // map to [-120deg, -60deg] roughly
-              const speedMultiplier = (this.speedBoostTimer > 0) ? 1.08 : 1.0;
-              ball.speed = clamp(ball.speed * speedMultiplier, 200, 820);
-              // set velocity based on bounceAngle
-              ball.vx = ball.speed * Math.cos(bounceAngle);
-              ball.vy = ball.speed * Math.sin(bounceAngle);
-              // small nudge upward to avoid repeated collisions
-              ball.y = r.y - ball.radius - 1;
-              this.sound.hit();
-            }
-          }
-
-          // Ball-brick collisions
-          for (const ball of this.balls) {
-            if (ball.stuck) continue;
-            for (const brick of this.bricks) {
-              if (!brick.alive) continue;
-              if (circleRectCollision(ball.x, ball.y, ball.radius, brick.x, brick.y, brick.w, brick.h)) {
-                // Determine collision normal by checking penetration amounts
-                const overlapX = Math.min(ball.x + ball.radius - brick.x, brick.x + brick.w - (ball.x - ball.radius));
-                const overlapY = Math.min(ball.y + ball.radius - brick.y, brick.y + brick.h - (ball.y - ball.radius));
-                if (overlapX < overlapY) {
-                  // reflect horizontally
-                  const nx = (ball.x < brick.x + brick.w / 2) ? -1 : 1;
-                  ball.vx = -ball.vx;
-                  ball.x += nx * overlapX;
-                } else {
-                  // reflect vertically
-                  const ny = (ball.y < brick.y + brick.h / 2) ? -1 : 1;
-                  ball.vy = -ball.vy;
-                  ball.y += ny * overlapY;
-                }
-
-                // adjust speed slightly for feedback
-                ball.speed = clamp(ball.speed * 1.01, 220, 900);
-
-                brick.hit();
-                const scoreGain = 100;
-                this.score += scoreGain;
-                this._updateHUD();
-                this.sound.break();
-
-                // spawn power-up occasionally when brick destroyed
-                if (!brick.alive && Math.random() < POWER_CHANCE) {
-                  const types = ['multi', 'paddle', 'speed'];
-                  const ptype = randChoice(types);
-                  this.powerups.push(new PowerUp(brick.x + brick.w / 2, brick.y + brick.h / 2, ptype));
-                }
-                break; // only one brick collision per update per ball
-              }
-            }
-          }
-
-          // update power-ups
-          for (const p of this.powerups) p.update(dt);
-
-          // collect power-ups with paddle
-          for (let i = this.powerups.length - 1; i >= 0; i--) {
-            const p = this.powerups[i];
-            const r = this.paddle.getRect();
-            if (circleRectCollision(p.x, p.y, p.radius, r.x, r.y, r.w, r.h)) {
-              this.applyPowerUp(p.type);
-              p.alive = false;
-              this.sound.power();
-              this.powerups.splice(i, 1);
-            } else if (!p.alive) {
-              this.powerups.splice(i, 1);
-            }
-          }
-
-          // balls falling below screen -> lose ball
-          for (let i = this.balls.length - 1; i >= 0; i--) {
-            const b = this.balls[i];
-            if (b.y - b.radius > HEIGHT + 8) {
-              this.balls.splice(i, 1);
-            }
-          }
-
-          // if no balls, lose life and reset to ready/attach ball to paddle or game over
-          if (this.balls.length === 0) {
-            this.lives--;
-            this._updateHUD();
-            if (this.lives <= 0) {
-              this.state = STATE.GAME_OVER;
-            } else {
-              const ball = new Ball(this.paddle.x + this.paddle.width / 2, this.paddle.y - BALL_RADIUS - 2);
-              ball.attachToPaddle(this.paddle);
-              this.balls.push(ball);
-              this.state = STATE.READY;
-              // small pause briefly could be added
-            }
-          }
-
-          // check level complete
-          const remaining = this.bricks.filter(b => b.alive).length;
-          if (remaining === 0) {
-            this.state = STATE.LEVEL_COMPLETE;
-            // advance or let user press Start to go next
-            this.sound.break();
-          }
-
-          // timers for active power-ups (speed boost, multi-ball)
-          if (this.speedBoostTimer > 0) {
-            this.speedBoostTimer -= dt;
-            if (this.speedBoostTimer <= 0) {
-              // reset ball speeds to normal (not perfect if multiple boosts stacked, but sufficient)
-              for (const b of this.balls) b.speed = 360;
-            }
-          }
-          if (this.multiBallTimer > 0) {
-            this.multiBallTimer -= dt;
-          }
-        }
+      // one player on the field
+      function isSolo(game) {
+        return MODE_RULES[game.mode].players === 1;
+      }
 
-        applyPowerUp(type) {
-          if (type === 'multi') {
-            // create two additional balls near current ball positions
-            const newBalls = [];
-            for (const b of this.balls) {
-              // create two balls with slight angle offsets
-              const speed = clamp(b.speed * 1.02, 260, 920);
-              const a1 = Math.atan2(b.vy, b.vx) + 0.18;
-              const a2 = Math.atan2(b.vy, b.vx) - 0.18;
-              const b1 = new Ball(b.x + 8, b.y, speed);
-              b1.vx = speed * Math.cos(a1); b1.vy = speed * Math.sin(a1); b1.stuck = false;
-              const b2 = new Ball(b.x - 8, b.y, speed);
-              b2.vx = speed * Math.cos(a2); b2.vy = speed * Math.sin(a2); b2.stuck = false;
-              newBalls.push(b1, b2);
-            }
-            this.balls.push(...newBalls);
-            this.multiBallTimer = 9.0; // duration visual indicator (not needed)
-          } else if (type === 'paddle') {
-            this.paddle.applyPower('paddle');
-          } else if (type === 'speed') {
-            // increase ball speeds temporarily
-            for (const b of this.balls) {
-              b.speed = clamp(b.speed * 1.18, 300, 1000);
-              // adjust velocities proportionally
-              const ang = Math.atan2(b.vy, b.vx);
-              b.vx = b.speed * Math.cos(ang);
-              b.vy = b.speed * Math.sin(ang);
-            }
-            this.speedBoostTimer = 10.0; // seconds
-          }
+      // the mode's line in the HUD stats (and whether assist mode is on), or '' for none
+      function modeInfo(game) {
+        const info = [];
+        if (game.mode === 'endless') info.push(`SEED: ${game.seed}`);
+        else if (game.mode === 'daily') info.push(modifierLabels(game));
+        else if (game.mode === 'timeattack' && game.modeState.splits.length) {
+          info.push(`SPLITS: ${game.modeState.splits.slice(-3).map(formatTime).join(' ')}`);
         }
+        if (game.assist) info.push('ASSIST');
+        return info.join(' · ');
+      }
 
-        draw() {
-          // clear
-          ctx.clearRect(0, 0, WIDTH, HEIGHT);
-
-          // background grid / neon gradient
-          drawBackground();
-
-          // draw bricks
-          for (const b of this.bricks) b.draw(ctx);
-
-          // draw power-ups
-          for (const p of this.powerups) p.draw(ctx);
+      function gameOverTitle(game) {
+        if (game.mode === 'timeattack' && game.modeState.timeLeft === 0) return 'TIME UP';
+        if (game.mode === 'survival' && game.lives > 0) return 'OVERRUN';
+        return 'GAME OVER';
+      }
 
-          // draw paddle
-          this.paddle.draw(ctx);
+      // "One life · Double speed" for a daily run
+      function modifierLabels(game) {
+        return game.stages.modifiers.map(name => DAILY_MODIFIERS[name].label).join(' · ');
+      }
 
-          // draw balls
-          for (const b of this.balls) b.draw(ctx);
+      // "P1 4200   P2 3100" for the end screens of two-player modes
+      function playerScores(game) {
+        return game.playerStats().map((p, i) => `P${i + 1} ${p.score}`).join('   ');
+      }
 
-          // draw HUD overlays (center messages)
-          if (this.state === STATE.READY) {
-            drawCenteredText('Tap or Press Space to Launch', 20, '#ffd84d');
-          } else if (this.state === STATE.PAUSED) {
-            drawCenteredText('PAUSED', 34, '#33e0ff');
-          } else if (this.state === STATE.LEVEL_COMPLETE) {
-            drawCenteredText('LEVEL CLEARED!', 28, '#7cff6a');
-          } else if (this.state === STATE.GAME_OVER) {
-            drawCenteredText('GAME OVER', 34, '#ff4dd2');
-            drawCenteredSubText('Press Reset to try again', 16, '#ffd84d');
-          }
-        }
+      // co-op: a faint line up from the bottom between the two players' halves
+      function drawHalfLine() {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+        ctx.setLineDash([6, 8]);
+        ctx.beginPath();
+        ctx.moveTo(WIDTH / 2 + 0.5, HEIGHT - 90);
+        ctx.lineTo(WIDTH / 2 + 0.5, HEIGHT);
+        ctx.stroke();
+        ctx.restore();
       }
 
-      /* -------------------------
-         Collision helpers
-         ------------------------- */
-      function circleRectCollision(cx, cy, r, rx, ry, rw, rh) {
-        const closestX = clamp(cx, rx, rx + rw);
-        const closestY = clamp(cy, ry, ry + rh);
-        const dx = cx - closestX;
-        const dy = cy - closestY;
-        return (dx * dx + dy * dy) < (r * r + 0.0001);
+      // offscreen canvas for a cached layer: the playfield at `scale` backing pixels per
+      // logical unit, its context already scaled to logical units
+      function createLayer(scale) {
+        const layer = document.createElement('canvas');
+        layer.width = Math.round(WIDTH * scale);
+        layer.height = Math.round(HEIGHT * scale);
+        layer.getContext('2d').setTransform(scale, 0, 0, scale, 0, 0);
+        return layer;
       }
 
-      /* -------------------------
-         Rendering helpers (neon background and text)
-         ------------------------- */
-      function drawBackground() {
+      function drawBackground(ctx) {
         // neon gradient background with subtle grid
         const g = ctx.createLinearGradient(0, 0, 0, HEIGHT);
         g.addColorStop(0, '#040319');
@@ -822,17 +508,101 @@
         ctx.restore();
       }
 
-      function drawCenteredText(text, size = 28, color = '#fff') {
+      function drawCenteredText(text, size = 28, color = '#fff', glow = 1) {
         ctx.save();
         ctx.font = `bold ${size}px monospace`;
         ctx.fillStyle = color;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.shadowBlur = 12;
+        ctx.shadowBlur = 12 * glow;
         ctx.shadowColor = color;
         ctx.fillText(text, WIDTH / 2, HEIGHT / 2 - 8);
         ctx.restore();
       }
+      function drawBarrier(glow) {
+        ctx.save();
+        ctx.shadowColor = POWER_UPS.barrier.glow;
+        ctx.shadowBlur = 12 * glow;
+        ctx.fillStyle = POWER_UPS.barrier.color;
+        ctx.fillRect(8, BARRIER_Y, WIDTH - 16, 3);
+        ctx.restore();
+      }
+
+      // time-attack clock, top-right (clear of a boss's health bar), with the current level's
+      // split under it; red in the last ten seconds
+      function drawCountdown(game, glow) {
+        const left = game.modeState.timeLeft;
+        const color = left < 10 ? '#ff4d6d' : '#ffd84d';
+        ctx.save();
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.font = 'bold 22px monospace';
+        ctx.fillStyle = color;
+        ctx.shadowBlur = 10 * glow;
+        ctx.shadowColor = color;
+        ctx.fillText(formatTime(Math.ceil(left)), WIDTH - 14, 6);
+        ctx.shadowBlur = 0;
+        ctx.font = 'bold 11px monospace';
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        ctx.fillText(`L${game.currentLevel} ${formatTime(game.scoring.levelTime)}`, WIDTH - 14, 32);
+        ctx.restore();
+      }
+
+      // survival: the line the field must not reach, and the seconds to its next descent
+      function drawDescent(game) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255,77,109,0.35)';
+        ctx.setLineDash([10, 8]);
+        ctx.beginPath();
+        ctx.moveTo(0, PADDLE_Y + 0.5);
+        ctx.lineTo(WIDTH, PADDLE_Y + 0.5);
+        ctx.stroke();
+        const timer = game.modeState.timer;
+        ctx.font = 'bold 11px monospace';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = timer < 2 ? '#ff4d6d' : 'rgba(255,255,255,0.6)';
+        ctx.fillText(`NEXT ROW ${timer.toFixed(1)}s`, WIDTH - 14, HEIGHT - 22);
+        ctx.restore();
+      }
+
+      // one badge per active effect: its capsule letter and seconds left, bottom-left
+      function drawEffects(effects) {
+        ctx.save();
+        ctx.font = 'bold 11px monospace';
+        ctx.textBaseline = 'middle';
+        effects.forEach((fx, i) => {
+          const def = POWER_UPS[fx.type];
+          const x = 14 + i * 58, y = HEIGHT - 22;
+          ctx.fillStyle = def.color;
+          ctx.globalAlpha = fx.remaining < 2 ? 0.5 : 0.9; // fade when about to run out
+          ctx.beginPath();
+          ctx.arc(x + 7, y, 7, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = '#041219';
+          ctx.textAlign = 'center';
+          ctx.fillText(def.label, x + 7, y + 1);
+          ctx.fillStyle = def.color;
+          ctx.textAlign = 'left';
+          const stacks = fx.stacks > 1 ? `x${fx.stacks} ` : '';
+          ctx.fillText(`${stacks}${Math.ceil(fx.remaining)}s`, x + 17, y + 1);
+        });
+        ctx.restore();
+      }
+
+      // end-of-level bonus breakdown under the centered message
+      function drawBonus(bonus) {
+        if (!bonus) return;
+        drawCenteredSubText(`Time +${bonus.time}   Lives +${bonus.lives}   No miss +${bonus.noMiss}`, 15, '#ffd84d');
+        ctx.save();
+        ctx.font = 'bold 16px monospace';
+        ctx.fillStyle = '#7cff6a';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`BONUS +${bonus.total}`, WIDTH / 2, HEIGHT / 2 + 52);
+        ctx.restore();
+      }
+
       function drawCenteredSubText(text, size = 16, color = '#fff') {
         ctx.save();
         ctx.font = `${size}px monospace`;
@@ -846,20 +616,758 @@
       /* -------------------------
          Game initialization
          ------------------------- */
-      const game = new Game();
-      game._updateHUD = function () {
-        elLives.textContent = `LIVES: ${this.lives}`;
-        elScore.textContent = `SCORE: ${this.score}`;
-        elLevel.textContent = `LEVEL: ${this.currentLevel}`;
-      }.bind(game);
+      // ?seed=1234 replays a specific run (?mode=endless&seed=1234 a specific endless run);
+      // ?mode=daily plays the day's challenge
+      const seedParam = new URLSearchParams(window.location.search).get('seed');
+      const modeParam = new URLSearchParams(window.location.search).get('mode');
+      // localStorage throws when blocked; settings and scores then last for the session only
+      const storage = (() => {
+        try { return window.localStorage; } catch (e) { return null; }
+      })();
+      // key and button bindings per profile: one player, and each side of a co-op game
+      const bindings = {};
+      for (const profile of PROFILES) bindings[profile] = new ControlBindings(storage, profile);
+      // a remembered panel setting, or null; see the settings sections below
+      function loadSetting(key) {
+        try { return storage && storage.getItem(key); } catch (e) { return null; }
+      }
+      function saveSetting(key, value) {
+        try { if (storage) storage.setItem(key, value); } catch (e) { /* session only */ }
+      }
+      const ASSIST_KEY = 'neon-bricks.assist';
+      const viewport = new Viewport(canvas, stage, gameEl);
+      // music and sound effects; silent where WebAudio is missing
+      const audio = new AudioEngine((() => {
+        try { return new (window.AudioContext || window.webkitAudioContext)(); } catch (e) { return null; }
+      })(), new AudioSettings(storage));
+      const game = new Game({
+        seed: seedParam !== null && seedParam !== '' ? Number(seedParam) : undefined, // a fresh one for the mode
+        mode: GAME_MODES.includes(modeParam) ? modeParam : 'classic',
+        assist: loadSetting(ASSIST_KEY) === 'on',
+        input: new Input(viewport, bindings.solo),
+        input2: new Input(viewport, bindings.coop2, { padSlot: 1, pointer: false }),
+        renderer: new CanvasRenderer(viewport),
+        sound: audio
+      });
+
+      // every run is recorded so it can be saved as a replay at any point
+      const recorder = new ReplayRecorder(game);
+      let player = null; // active ReplayPlayer while watching a replay
+
+      // commands go through the game's queue so replays see them on the same tick
+      btnStart.addEventListener('click', () => { if (!player) game.dispatch('start'); });
+      // bound keys and buttons: pause toggles, launch also starts the level when it is waiting;
+      // the second player's count in co-op only
+      function onAction(action) {
+        if (player || editor.active || nameEntry || scoreView || confirmReset.open || dailyResults.open) return;
+        if (action === 'pause') game.dispatch('pause');
+        else if (action === 'reset') requestReset();
+        else if (action === 'launch' && (game.state === STATE.READY || game.state === STATE.LEVEL_COMPLETE)) game.dispatch('start');
+      }
+      game.input.onAction = onAction;
+      game.input2.onAction = (action) => { if (game.mode === 'coop') onAction(action); };
+      btnPause.addEventListener('click', () => { if (!player) game.dispatch('pause'); });
+      btnReset.addEventListener('click', () => requestReset());
+
+      // a new run throws the current one away, so ask first while one is under way
+      const confirmReset = document.getElementById('confirmReset');
+      let pendingMode = null; // game mode the confirmed new run switches to
+      let pendingAssist = null; // assist setting the confirmed new run switches to
+      function resetRun() {
+        if (pendingAssist !== null) {
+          game.assist = pendingAssist;
+          saveSetting(ASSIST_KEY, pendingAssist ? 'on' : 'off');
+        }
+        if (pendingMode) game.setMode(pendingMode);
+        else game.resetGame();
+        pendingMode = null;
+        pendingAssist = null;
+        btnBackToEditor.hidden = true;
+      }
+      function requestReset() {
+        if (player) return;
+        const underway = game.state !== STATE.GAME_OVER && game.state !== STATE.VICTORY &&
+          (game.state !== STATE.READY || game.score > 0 || game.currentLevel !== game.startingLevel);
+        if (!underway) { resetRun(); return; }
+        game.suspend();
+        if (document.pointerLockElement) document.exitPointerLock();
+        confirmReset.returnValue = '';
+        confirmReset.showModal();
+      }
+      confirmReset.addEventListener('close', () => {
+        if (confirmReset.returnValue === 'reset') resetRun();
+        pendingMode = null;
+        pendingAssist = null;
+        gameMode.value = game.mode;
+        assistMode.checked = game.assist;
+        canvas.focus();
+      });
+
+      // game mode: one player, two taking turns, two side by side, or endless; the first
+      // player's keys follow it (co-op moves them to the left-hand side of the keyboard)
+      gameMode.addEventListener('change', () => {
+        if (player) { gameMode.value = game.mode; return; }
+        pendingMode = gameMode.value;
+        requestReset();
+      });
+      function useModeControls() {
+        game.input.release();
+        game.input2.release();
+        game.input.bindings = bindings[game.mode === 'coop' ? 'coop1' : 'solo'];
+        gameMode.value = game.mode;
+        assistMode.checked = game.assist;
+      }
+      game.on('reset', useModeControls);
+      game.on('restore', useModeControls);
+      useModeControls();
+
+      // pause when the player looks away: the window loses focus or the tab is hidden
+      window.addEventListener('blur', () => game.suspend());
+      document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') game.suspend(); });
+
+      // pointer-lock mouse mode: a click on the canvas captures the mouse while the game runs;
+      // letting it go (Esc) pauses
+      canvas.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'mouse' || game.input.bindings.controls.pointer !== 'lock' || game.input.locked) return;
+        if (player || editor.active || nameEntry || scoreView) return;
+        if ((game.state === STATE.READY || game.state === STATE.PLAYING) && canvas.requestPointerLock) canvas.requestPointerLock();
+      });
+      document.addEventListener('pointerlockchange', () => {
+        if (!document.pointerLockElement && game.input.bindings.controls.pointer === 'lock') game.suspend();
+      });
+
+      // focus canvas for keyboard controls
+      canvas.addEventListener('click', () => canvas.focus());
+
+      // fullscreen: the button or F
+      function showFullscreenLabel() {
+        btnFullscreen.textContent = viewport.fullscreen ? 'Exit Fullscreen' : 'Fullscreen';
+      }
+      function toggleFullscreen() {
+        viewport.toggleFullscreen();
+        showFullscreenLabel();
+      }
+      btnFullscreen.addEventListener('click', toggleFullscreen);
+      window.addEventListener('keydown', (e) => {
+        if (e.code === 'KeyF' && !editor.active && !nameEntry) toggleFullscreen();
+      });
+      document.addEventListener('fullscreenchange', showFullscreenLabel);
+      document.addEventListener('webkitfullscreenchange', showFullscreenLabel);
+
+      /* -------------------------
+         Level packs (file input or ?levels=<url>, falling back to the built-in set)
+         ------------------------- */
+      function showPackName() {
+        const lm = game.levelManager;
+        packName.textContent = lm.isBuiltin ? `${lm.pack.name} (built-in)` : (lm.pack.name || lm.pack.id);
+      }
+
+      function useLevelText(text) {
+        try {
+          game.loadLevelPack(LevelManager.parse(text));
+        } catch (err) {
+          window.alert(`Could not load levels: ${err.message}\nUsing the built-in levels instead.`);
+          game.levelManager.useBuiltin();
+          game.resetGame();
+        }
+        showPackName();
+      }
+
+      btnLoadLevels.addEventListener('click', () => { if (!player) levelsFile.click(); });
+      levelsFile.addEventListener('change', () => {
+        const file = levelsFile.files[0];
+        levelsFile.value = '';
+        if (file) file.text().then(useLevelText);
+      });
+      btnBuiltinLevels.addEventListener('click', () => {
+        if (player) return;
+        game.levelManager.useBuiltin();
+        game.resetGame();
+        showPackName();
+      });
+
+      const levelsParam = new URLSearchParams(window.location.search).get('levels');
+      if (levelsParam) {
+        fetch(levelsParam)
+          .then((res) => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.text();
+          })
+          .then(useLevelText)
+          .catch((err) => window.alert(`Could not fetch levels from ${levelsParam}: ${err.message}\nUsing the built-in levels instead.`));
+      }
+
+      /* -------------------------
+         Level editor (takes over the canvas while open)
+         ------------------------- */
+      const editor = new LevelEditor({
+        canvas,
+        toLogical: (x, y) => viewport.toLogical(x, y),
+        onTestPlay(level) {
+          try {
+            game.startLevel(level);
+          } catch (err) {
+            window.alert(`Cannot test this level: ${err.message}`);
+            return;
+          }
+          editor.close();
+          btnBackToEditor.hidden = false;
+          canvas.focus();
+        },
+        onExit() {
+          editor.close();
+          game._updateHUD();
+        }
+      });
+
+      function openEditor() {
+        if (player) return;
+        game.suspend();
+        btnBackToEditor.hidden = true;
+        editor.open();
+      }
+      btnEditor.addEventListener('click', openEditor);
+      btnBackToEditor.addEventListener('click', openEditor);
+
+      /* -------------------------
+         High scores (name entry when a run ends, table screen from the panel)
+         ------------------------- */
+      const NAME_KEY = 'neon-bricks.name'; // last initials entered, offered first next time
+      let nameEntry = null; // active NameEntry
+      let scoreView = null; // { table, highlight } while the high-score screen is shown
+      let runEnded = false; // the current run's score has been offered to the table
+      let pendingScores = []; // { score, level, label } still to offer, see onRunEnd()
+
+      // assisted runs keep tables of their own
+      function scoreTable() {
+        return new HighScoreTable(storage, game.assist ? `${game.mode}-assist` : game.mode, game.stages.pack.id);
+      }
+
+      function lastName() {
+        try { return (storage && storage.getItem(NAME_KEY)) || 'AAA'; } catch (e) { return 'AAA'; }
+      }
+
+      // called once when the live run ends; test plays of editor levels are not scored. In
+      // alternate mode each player's own score is offered in turn; a co-op team shares one.
+      // A daily run goes to the daily history and its results screen instead.
+      function onRunEnd() {
+        runEnded = true;
+        if (game.testLevel) return;
+        if (game.mode === 'daily') { showDailyResults(true); return; }
+        pendingScores = game.mode === 'alternate'
+          ? game.playerStats().map((p, i) => ({ score: p.score, level: p.level, label: `PLAYER ${i + 1}` }))
+          : [{ score: game.score, level: game.currentLevel, label: '' }];
+        nextNameEntry();
+      }
+
+      // name entry for the next pending score that makes the table, if any
+      function nextNameEntry() {
+        const table = scoreTable();
+        while (pendingScores.length && !table.qualifies(pendingScores[0].score)) pendingScores.shift();
+        nameEntry = pendingScores.length ? new NameEntry(lastName()) : null;
+      }
+
+      function submitName() {
+        const name = nameEntry.name;
+        const entry = pendingScores.shift();
+        try { if (storage) storage.setItem(NAME_KEY, name); } catch (e) { /* not remembered */ }
+        const table = scoreTable();
+        const highlight = table.add({ name, score: entry.score, level: entry.level, date: today(), mode: game.mode });
+        scoreView = { table, highlight };
+        nextNameEntry();
+      }
+
+      function showHighScores() {
+        if (player || nameEntry) return;
+        if (game.mode === 'daily') { showDailyResults(false); return; }
+        if (scoreView) { scoreView = null; return; }
+        game.suspend();
+        scoreView = { table: scoreTable(), highlight: -1 };
+      }
+
+      game.on('reset', () => { runEnded = false; nameEntry = null; pendingScores = []; });
+      game.on('restore', () => { runEnded = false; nameEntry = null; pendingScores = []; scoreView = null; });
+      btnHighScores.addEventListener('click', showHighScores);
+
+      /* -------------------------
+         Daily challenge results (when a daily run ends, or High Scores in daily mode)
+         ------------------------- */
+      const history = new DailyHistory(storage);
+
+      // finished: the run just ended, so record it (if it is today's or yesterday's challenge)
+      // and share it; otherwise share the day's best so far
+      function showDailyResults(finished) {
+        const day = dayOfSeed(game.seed);
+        let result = null;
+        if (finished) {
+          result = dailyResult(game, day || `seed ${game.seed}`);
+          const best = day && history.record(result);
+          const entry = day && history.get(day, game.assist);
+          const label = game.assist ? 'Best today with assist' : 'Best today';
+          dailyNote.textContent = !day ? `This run was an earlier day's challenge, so it is not in the history.`
+            : best ? 'New best for the day!' : `${label}: ${entry.score} (${entry.attempts} runs)`;
+        } else {
+          const entry = day && history.get(day, game.assist);
+          result = entry && history.result(entry);
+          const label = game.assist ? 'Your best today with assist' : 'Your best today';
+          dailyNote.textContent = entry ? `${label}, from ${entry.attempts} run${entry.attempts > 1 ? 's' : ''}.` : 'No run finished today yet.';
+        }
+        dailyShare.textContent = result ? shareText(result) : '';
+        dailyShare.hidden = !result;
+        btnDailyCopy.hidden = !result;
+        btnDailyCopy.textContent = 'Copy';
+        dailyHistory.replaceChildren(...history.entries.map((e) => {
+          const li = document.createElement('li');
+          li.textContent = `${e.day}  ${e.cleared}/${DAILY_STAGES}  ${e.score}  ${formatTime(e.time)}${e.assist ? '  Assist' : ''}`;
+          return li;
+        }));
+        game.suspend();
+        if (document.pointerLockElement) document.exitPointerLock();
+        dailyResults.showModal();
+      }
+
+      btnDailyCopy.addEventListener('click', () => {
+        const copied = () => { btnDailyCopy.textContent = 'Copied'; };
+        if (navigator.clipboard) navigator.clipboard.writeText(dailyShare.textContent).then(copied, () => selectShare());
+        else selectShare();
+      });
+      // no clipboard access: select the text so it can be copied by hand
+      function selectShare() {
+        const range = document.createRange();
+        range.selectNodeContents(dailyShare);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+      }
+      dailyResults.addEventListener('close', () => canvas.focus());
+
+      // overlays take keys before the game does
+      window.addEventListener('keydown', (e) => {
+        if (nameEntry) {
+          if (nameEntry.handleKey(e.key)) e.preventDefault();
+          if (nameEntry.done) submitName();
+        } else if (scoreView && (e.key === 'Enter' || e.key === 'Escape')) {
+          e.preventDefault();
+          scoreView = null;
+        }
+      });
+      canvas.addEventListener('pointerdown', (e) => {
+        if (nameEntry) {
+          const p = viewport.toLogical(e.clientX, e.clientY);
+          nameEntry.tap(p.x, p.y);
+          if (nameEntry.done) submitName();
+        } else if (scoreView) {
+          scoreView = null;
+        }
+      });
+
+      /* -------------------------
+         Music and sound volumes (panel settings, remembered)
+         ------------------------- */
+      musicVolume.value = audio.settings.settings.music;
+      sfxVolume.value = audio.settings.settings.sfx;
+      function showMute() {
+        const muted = audio.settings.settings.muted;
+        btnMute.textContent = muted ? 'Unmute' : 'Mute';
+        btnMute.setAttribute('aria-pressed', String(muted));
+      }
+      showMute();
+      musicVolume.addEventListener('input', () => audio.setVolume('music', Number(musicVolume.value)));
+      sfxVolume.addEventListener('input', () => audio.setVolume('sfx', Number(sfxVolume.value)));
+      btnMute.addEventListener('click', () => {
+        audio.setMuted(!audio.settings.settings.muted);
+        showMute();
+      });
+
+      /* -------------------------
+         Effects intensity (panel setting, remembered)
+         ------------------------- */
+      // prefers-reduced-motion drops the glow and, unless an intensity was picked, the effects
+      const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+      const FX_KEY = 'neon-bricks.fx';
+      function applyMotion() {
+        const reduced = !!(reducedMotion && reducedMotion.matches);
+        game.renderer.setGlow(!reduced);
+        fxIntensity.value = loadSetting(FX_KEY) || (reduced ? 'off' : 'full');
+        if (!fxIntensity.value) fxIntensity.value = 'full';
+        game.renderer.fx.setIntensity(fxIntensity.value);
+      }
+      applyMotion();
+      if (reducedMotion && reducedMotion.addEventListener) reducedMotion.addEventListener('change', applyMotion);
+      fxIntensity.addEventListener('change', () => {
+        game.renderer.fx.setIntensity(fxIntensity.value);
+        saveSetting(FX_KEY, fxIntensity.value);
+      });
+
+      /* -------------------------
+         Accessibility: brick palette and assist mode (panel settings, remembered)
+         ------------------------- */
+      const PALETTE_KEY = 'neon-bricks.palette';
+      brickPalette.value = BRICK_PALETTES[loadSetting(PALETTE_KEY)] !== undefined ? loadSetting(PALETTE_KEY) : 'neon';
+      game.renderer.setPalette(BRICK_PALETTES[brickPalette.value]);
+      brickPalette.addEventListener('change', () => {
+        game.renderer.setPalette(BRICK_PALETTES[brickPalette.value]);
+        saveSetting(PALETTE_KEY, brickPalette.value);
+      });
+
+      // assist mode changes the run, so it starts a new one (asking first, like a mode change)
+      assistMode.checked = game.assist;
+      assistMode.addEventListener('change', () => {
+        if (player) { assistMode.checked = game.assist; return; }
+        pendingAssist = assistMode.checked;
+        requestReset();
+      });
+
+      /* -------------------------
+         Announcements for screen readers
+         ------------------------- */
+      // the canvas says nothing to assistive tech, so the moments that matter are spoken
+      // through a polite live region; repeating a message nudges it so it is read again
+      function announce(text) {
+        elAnnouncer.textContent = elAnnouncer.textContent === text ? `${text}\u00a0` : text;
+      }
+      game.on('lifeLost', g => {
+        announce(g.lives > 0 ? `Life lost. ${g.lives} ${g.lives === 1 ? 'life' : 'lives'} left.` : 'Life lost.');
+      });
+      game.on('pickup', p => announce(`${POWER_UPS[p.type].name} picked up.`));
+      function announceState(state) {
+        if (state === STATE.LEVEL_COMPLETE) announce(`Level ${game.currentLevel} cleared. Score ${game.score}.`);
+        else if (state === STATE.VICTORY) announce(`${game.mode === 'daily' ? 'Daily challenge' : 'Campaign'} complete! Final score ${game.score}.`);
+        else if (state === STATE.GAME_OVER) {
+          const title = gameOverTitle(game);
+          announce(`${title[0]}${title.slice(1).toLowerCase()}. Final score ${game.score}.`);
+        }
+      }
+
+      /* -------------------------
+         Controls screen (rebind keys and gamepad buttons, stick settings)
+         ------------------------- */
+      const controlsPanel = document.getElementById('controlsPanel');
+      const bindingProfile = document.getElementById('bindingProfile');
+      const bindingRows = document.getElementById('bindingRows');
+      const padDeadzone = document.getElementById('padDeadzone');
+      const padSensitivity = document.getElementById('padSensitivity');
+      const padStatus = document.getElementById('padStatus');
+      const pointerMode = document.getElementById('pointerMode');
+      const pointerSensitivity = document.getElementById('pointerSensitivity');
+      let capture = null; // { action, slot } for a key, { action, pad: true } for a button
+      let shown = bindings.solo; // the profile being edited
+
+      // one row per action: its key slots and its gamepad button, each a button to rebind it
+      function renderBindings() {
+        const c = shown.controls;
+        bindingProfile.value = shown.profile;
+        bindingRows.innerHTML = '';
+        for (const [action, label] of Object.entries(ACTIONS)) {
+          const row = document.createElement('tr');
+          const name = document.createElement('th');
+          name.textContent = label;
+          row.appendChild(name);
+          const cell = (text, target) => {
+            const td = document.createElement('td');
+            const btn = document.createElement('button');
+            const waiting = capture && capture.action === action && capture.slot === target.slot && !!capture.pad === !!target.pad;
+            btn.textContent = waiting ? 'Press…' : text;
+            btn.classList.toggle('active', waiting);
+            btn.addEventListener('click', () => {
+              capture = Object.assign({ action }, target);
+              renderBindings();
+            });
+            td.appendChild(btn);
+            row.appendChild(td);
+          };
+          for (let slot = 0; slot < KEY_SLOTS; slot++) cell(keyLabel(c.keys[action][slot]), { slot });
+          cell(buttonLabel(c.buttons[action]), { pad: true });
+          bindingRows.appendChild(row);
+        }
+        padDeadzone.value = String(c.deadzone);
+        padSensitivity.value = String(c.sensitivity);
+        pointerMode.value = c.pointer;
+        pointerSensitivity.value = String(c.pointerSensitivity);
+      }
+
+      // opens on the first player's bindings for the current mode
+      function openControls() {
+        if (player || editor.active) return;
+        game.suspend();
+        for (const input of [game.input, game.input2]) {
+          input.release();
+          input.suspended = true;
+        }
+        capture = null;
+        shown = game.input.bindings;
+        renderBindings();
+        controlsPanel.hidden = false;
+      }
+
+      function closeControls() {
+        controlsPanel.hidden = true;
+        game.input.suspended = false;
+        game.input2.suspended = false;
+        capture = null;
+      }
+
+      bindingProfile.addEventListener('change', () => {
+        shown = bindings[bindingProfile.value];
+        capture = null;
+        renderBindings();
+      });
+
+      // while waiting for a key: Escape cancels, Backspace/Delete clears the slot. Runs in the
+      // capture phase so the key does nothing else.
+      window.addEventListener('keydown', (e) => {
+        if (!capture || capture.pad) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (e.code !== 'Escape') shown.setKey(capture.action, capture.slot, e.code === 'Backspace' || e.code === 'Delete' ? null : e.code);
+        capture = null;
+        renderBindings();
+      }, true);
+
+      // while waiting for a gamepad button: the first one pressed on the profile's gamepad
+      // (called every frame)
+      let padWasPressed = [];
+      function pollControlsScreen() {
+        if (controlsPanel.hidden) return;
+        const pad = connectedPad(shown.profile === 'coop2' ? 1 : 0);
+        padStatus.textContent = pad ? `Gamepad: ${pad.id}` : 'No gamepad connected. Press a button on it to wake it up.';
+        const pressed = pad ? pad.buttons.map(b => b.pressed) : [];
+        if (capture && capture.pad) {
+          const index = pressed.findIndex((down, i) => down && !padWasPressed[i]);
+          if (index >= 0) {
+            shown.setButton(capture.action, index);
+            capture = null;
+            renderBindings();
+          }
+        }
+        padWasPressed = pressed;
+      }
+
+      document.getElementById('btnControls').addEventListener('click', openControls);
+      document.getElementById('controlsClose').addEventListener('click', closeControls);
+      document.getElementById('controlsDefaults').addEventListener('click', () => {
+        shown.reset();
+        capture = null;
+        renderBindings();
+      });
+      const updateStick = () => shown.setStick(Number(padDeadzone.value), Number(padSensitivity.value));
+      padDeadzone.addEventListener('input', updateStick);
+      padSensitivity.addEventListener('input', updateStick);
+      const updatePointer = () => shown.setPointer(pointerMode.value, Number(pointerSensitivity.value));
+      pointerMode.addEventListener('change', updatePointer);
+      pointerSensitivity.addEventListener('input', updatePointer);
+
+      /* -------------------------
+         Save and continue (snapshot on pause and when the page is hidden)
+         ------------------------- */
+      const SAVE_KEY = 'neon-bricks.save';
+
+      function saveRun() {
+        if (!storage || game.tick === 0 || game.state === STATE.GAME_OVER || game.state === STATE.VICTORY) return;
+        try {
+          storage.setItem(SAVE_KEY, JSON.stringify(game.snapshot()));
+          btnContinue.hidden = false;
+        } catch (e) {
+          // quota or blocked storage: this run just is not saved
+        }
+      }
+
+      function clearSave() {
+        try { if (storage) storage.removeItem(SAVE_KEY); } catch (e) { /* nothing to clear */ }
+        btnContinue.hidden = true;
+      }
+
+      function continueRun() {
+        if (player) return;
+        let text = null;
+        try { text = storage && storage.getItem(SAVE_KEY); } catch (e) { /* treated as no save */ }
+        if (!text) { btnContinue.hidden = true; return; }
+        try {
+          game.restoreSnapshot(JSON.parse(text));
+        } catch (err) {
+          // a save from an older build, or one that no longer fits its levels
+          window.alert(`This saved game cannot be continued: ${err.message}`);
+          clearSave();
+          return;
+        }
+        editor.close();
+        btnBackToEditor.hidden = true;
+        showPackName();
+        canvas.focus();
+      }
+
+      btnContinue.addEventListener('click', continueRun);
+      document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') saveRun(); });
+      window.addEventListener('pagehide', saveRun);
+      try { btnContinue.hidden = !(storage && storage.getItem(SAVE_KEY)); } catch (e) { /* stays hidden */ }
+
+      /* -------------------------
+         Replay UI (export/import and playback controls)
+         ------------------------- */
+      function formatTicks(ticks) {
+        const secs = Math.floor(ticks * FIXED_DT);
+        return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+      }
+
+      btnSaveReplay.addEventListener('click', () => {
+        const data = recorder.toJSON();
+        const blob = new Blob([encodeReplay(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `neon-bricks-replay-${data.seed}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+      });
+
+      btnLoadReplay.addEventListener('click', () => replayFile.click());
+      replayFile.addEventListener('change', () => {
+        const file = replayFile.files[0];
+        replayFile.value = '';
+        if (!file) return;
+        file.text().then((text) => {
+          startReplay(decodeReplay(text));
+        }).catch((err) => {
+          window.alert(`Could not load replay: ${err.message}`);
+        });
+      });
+
+      function startReplay(replay) {
+        // freeze the live run underneath while the replay plays
+        game.suspend();
+        player = new ReplayPlayer(replay, { renderer: game.renderer, sound: game.sound });
+        player.speed = Number(replaySpeed.value);
+        replayScrub.max = String(player.length);
+        replayControls.hidden = false;
+        btnReplayPlay.textContent = 'Pause';
+        editor.close();
+        btnBackToEditor.hidden = true;
+        player.game._updateHUD();
+      }
+
+      function exitReplay() {
+        player = null;
+        replayControls.hidden = true;
+        game._updateHUD();
+      }
+
+      btnReplayPlay.addEventListener('click', () => {
+        if (!player) return;
+        if (player.finished) { player.seek(0); player.paused = false; }
+        else player.paused = !player.paused;
+        btnReplayPlay.textContent = player.paused ? 'Play' : 'Pause';
+      });
+      replaySpeed.addEventListener('change', () => { if (player) player.speed = Number(replaySpeed.value); });
+      replayScrub.addEventListener('input', () => { if (player) player.seek(Number(replayScrub.value)); });
+      btnReplayExit.addEventListener('click', exitReplay);
+
+      function updateReplayControls() {
+        replayScrub.value = String(player.tick);
+        replayTime.textContent = `${formatTicks(player.tick)} / ${formatTicks(player.length)}`;
+        if (player.finished) btnReplayPlay.textContent = 'Replay';
+      }
+
+      /* -------------------------
+         Frame-time overlay (toggle with the ` key, or open with ?fps)
+         ------------------------- */
+      const FRAME_SAMPLES = 120;
+
+      class FrameStats {
+        constructor() {
+          this.visible = false;
+          this.frames = []; // [frame interval ms, loop work ms] for the last FRAME_SAMPLES frames
+        }
+
+        record(frameMs, workMs) {
+          this.frames.push([frameMs, workMs]);
+          if (this.frames.length > FRAME_SAMPLES) this.frames.shift();
+        }
+
+        draw(ctx, brickRedraws) {
+          if (!this.visible || !this.frames.length) return;
+          let total = 0, work = 0, worst = 0;
+          for (const [frameMs, workMs] of this.frames) {
+            total += frameMs;
+            work += workMs;
+            worst = Math.max(worst, frameMs);
+          }
+          const n = this.frames.length;
+          const lines = [
+            `${Math.round(1000 * n / total)} fps`,
+            `frame ${(total / n).toFixed(1)} ms (max ${worst.toFixed(1)})`,
+            `work  ${(work / n).toFixed(2)} ms`,
+            `brick redraws ${brickRedraws}`
+          ];
+          ctx.save();
+          ctx.fillStyle = 'rgba(0,0,0,0.6)';
+          ctx.fillRect(WIDTH - 196, 8, 188, 14 + lines.length * 14);
+          ctx.fillStyle = '#7cff6a';
+          ctx.font = '12px monospace';
+          ctx.textBaseline = 'top';
+          lines.forEach((line, i) => ctx.fillText(line, WIDTH - 188, 15 + i * 14));
+          ctx.restore();
+        }
+      }
+
+      const frameStats = new FrameStats();
+      frameStats.visible = new URLSearchParams(window.location.search).has('fps');
+      window.addEventListener('keydown', (e) => {
+        if (e.code === 'Backquote') frameStats.visible = !frameStats.visible;
+      });
+
+      // main loop: real time feeds the fixed-step simulation, then one render per display frame
+      let lastTime = now();
+      let lastState = game.state;
+      function loop() {
+        const t = now();
+        const frameDt = (t - lastTime) / 1000;
+        lastTime = t;
+        game.input.pollGamepad();
+        game.input2.pollGamepad();
+        pollControlsScreen();
+        if (editor.active) {
+          editor.draw(ctx, game.renderer.glow);
+          audio.update(null);
+        } else if (player) {
+          player.advance(frameDt);
+          player.game.draw();
+          audio.update(player.game);
+          updateReplayControls();
+        } else {
+          game.advance(frameDt);
+          game.draw();
+          audio.update(game);
+          if (game.state !== lastState) {
+            lastState = game.state;
+            announceState(game.state);
+            // menus and end screens need the cursor back
+            if (game.state !== STATE.PLAYING && game.state !== STATE.READY && document.pointerLockElement) document.exitPointerLock();
+            if (game.state === STATE.PAUSED) saveRun();
+            else if (game.state === STATE.GAME_OVER || game.state === STATE.VICTORY) clearSave();
+          }
+          if (!runEnded && (game.state === STATE.GAME_OVER || game.state === STATE.VICTORY)) onRunEnd();
+          const { glow } = game.renderer;
+          if (nameEntry) nameEntry.draw(ctx, pendingScores[0].score, pendingScores[0].label, glow);
+          else if (scoreView) drawHighScores(ctx, scoreView.table, { highlight: scoreView.highlight, glow });
+        }
+        frameStats.record(frameDt * 1000, now() - t);
+        if (!editor.active) frameStats.draw(ctx, game.renderer.brickRedraws);
+        requestAnimationFrame(loop);
+      }
+
+      game._updateHUD();
+      showPackName();
+      loop();
 
       // Expose for debugging
       window.NeonBricks = game;
 
       // Auto-start paused music in user gesture on first input (modern browsers)
       function enableAudioOnInteraction() {
-        if (game.sound && game.sound.ctx && game.sound.ctx.state === 'suspended') {
-          game.sound.ctx.resume();
+        if (audio.ctx && audio.ctx.state === 'suspended') {
+          audio.ctx.resume();
         }
         window.removeEventListener('pointerdown', enableAudioOnInteraction);
         window.removeEventListener('keydown', enableAudioOnInteraction);
@@ -868,4 +1376,3 @@
       window.addEventListener('keydown', enableAudioOnInteraction);
 
     })();
-  
\ No newline at end of file
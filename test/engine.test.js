@@ -0,0 +1,948 @@
+// Headless engine tests: node --test test/ (or node test/engine.test.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  FIXED_DT, STATE, WIDTH, PADDLE_Y, PADDLE_BASE_WIDTH, BALL_RADIUS, BRICK_TYPES, BRICK_PALETTES, Ball, Brick, Boss, BrickGrid, Game, LevelManager, ScoreKeeper, LevelFormatError, SaveFormatError, NullInput, circleRectCollision, sweepCircleRect,
+  levelCells, validateLevel, generateLevel, isLevelClearable, DAILY_STAGES, dailySeed, dailyModifiers, localDate,
+  TIME_ATTACK_START, SURVIVAL_START_ROWS, MODE_RULES, DailyLevels
+} = require('../game2-engine.js');
+const { HighScoreTable, NameEntry, MAX_SCORES } = require('../game2-scores.js');
+const { ParticlePool, Effects } = require('../game2-fx.js');
+const { ControlBindings, shapeAxis } = require('../game2-controls.js');
+const { DailyHistory, MAX_DAYS, shareText, dayOfSeed } = require('../game2-daily.js');
+const { AudioSettings, AudioEngine, Sequencer, noteFrequency, trackFor, brickPitch, AUDIO_KEY, DEFAULT_AUDIO } = require('../game2-audio.js');
+const { ReplayRecorder, ReplayPlayer, ReplayFormatError, encodeReplay, decodeReplay } = require('../game2-replay.js');
+
+// a one-level pack: two rows of 1-hp bricks
+function tinyPack() {
+  return {
+    format: 'neon-bricks-levels',
+    version: 1,
+    id: 'tiny',
+    name: 'Tiny',
+    bricks: { p: { color: '#ff4dd2' } },
+    levels: [{ name: 'Two rows', grid: { rows: 2, cols: 4 }, layout: ['pppp', 'pppp'] }]
+  };
+}
+
+// a localStorage stand-in
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: key => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, String(value)) };
+}
+
+// one step of a scripted player: the paddle follows the first ball, a little off centre so
+// that it does not settle into a vertical bounce, and launches at once;
+// starts go through dispatch() so that recordings carry them
+function botStep(game, input) {
+  input.launch = true;
+  input.pointerDown = true;
+  input.pointerX = game.balls[0] ? game.balls[0].x + (game.tick & 512 ? 12 : -12) : 400;
+  if (game.state === STATE.READY || game.state === STATE.LEVEL_COMPLETE) game.dispatch('start');
+  game.step();
+}
+
+// a scripted run of up to `steps` steps; returns the game
+function play(options, steps) {
+  const input = new NullInput();
+  const game = new Game(Object.assign({ input }, options));
+  for (let i = 0; i < steps && game.state !== STATE.GAME_OVER && game.state !== STATE.VICTORY; i++) botStep(game, input);
+  return game;
+}
+
+test('Ball.reflect mirrors the velocity about the normal and keeps the speed', () => {
+  const ball = new Ball(100, 100, 300);
+  ball.vx = 300 * Math.SQRT1_2;
+  ball.vy = 300 * Math.SQRT1_2;
+  ball.reflect(0, -1);
+  assert.ok(Math.abs(ball.vx - 300 * Math.SQRT1_2) < 1e-9);
+  assert.ok(Math.abs(ball.vy + 300 * Math.SQRT1_2) < 1e-9);
+  ball.reflect(-1, 0, 1.5);
+  assert.ok(Math.abs(Math.hypot(ball.vx, ball.vy) - 450) < 1e-9);
+  assert.ok(ball.vx < 0);
+});
+
+test('circleRectCollision finds overlaps, including at corners', () => {
+  assert.ok(circleRectCollision(50, 50, 5, 40, 40, 20, 20)); // centre inside
+  assert.ok(circleRectCollision(36, 50, 5, 40, 40, 20, 20)); // touching the left side
+  assert.ok(!circleRectCollision(30, 50, 5, 40, 40, 20, 20));
+  assert.ok(!circleRectCollision(36, 36, 5, 40, 40, 20, 20)); // outside the corner's reach
+  assert.ok(circleRectCollision(37, 37, 5, 40, 40, 20, 20));
+});
+
+test('sweepCircleRect finds side and corner hits along the move', () => {
+  const side = sweepCircleRect(50, 0, 0, 100, 5, 40, 40, 20, 20);
+  assert.ok(Math.abs(side.t - 0.35) < 1e-9);
+  assert.deepStrictEqual([side.nx, side.ny], [0, -1]);
+  const corner = sweepCircleRect(0, 0, 100, 100, 5, 40, 40, 20, 20);
+  assert.ok(corner.t > 0 && corner.t < 0.4);
+  assert.ok(corner.nx < 0 && corner.ny < 0);
+  assert.strictEqual(sweepCircleRect(0, 50, 100, -100, 5, 40, 40, 20, 20), null);
+});
+
+test('sweepCircleRect reports no contact for a move of zero length', () => {
+  // in a corner square of the grown box but outside the corner circle, and touching
+  assert.strictEqual(sweepCircleRect(35.5, 35.5, 0, 0, 5, 40, 40, 20, 20), null);
+  assert.strictEqual(sweepCircleRect(37, 37, 0, 0, 5, 40, 40, 20, 20), null);
+  assert.strictEqual(sweepCircleRect(50, 36, 0, 0, 5, 40, 40, 20, 20), null);
+});
+
+test('a fast ball does not tunnel through a brick', () => {
+  const game = new Game({ seed: 1, input: new NullInput() });
+  game.startLevel();
+  const brick = game.bricks.filter(b => b.alive).reduce((low, b) => (b.y > low.y ? b : low)); // bottom row
+  const ball = game.balls[0];
+  ball.speed = 4000; // moves further than a brick's height in one step
+  ball.launch(-Math.PI / 2);
+  ball.x = brick.x + brick.w / 2;
+  ball.y = brick.y + brick.h + ball.radius + 10;
+  game.step();
+  assert.ok(ball.vy > 0, 'the ball bounced off the brick');
+  assert.ok(ball.y > brick.y + brick.h);
+});
+
+test('BrickGrid returns each brick near a rect once, and forgets removed ones', () => {
+  const grid = new BrickGrid();
+  const wide = new Brick(10, 10, 200, 20, '#fff'); // spans several cells
+  const far = new Brick(600, 500, 40, 20, '#fff');
+  grid.insert(wide);
+  grid.insert(far);
+  assert.deepStrictEqual(grid.query(0, 0, 300, 40), [wide]);
+  assert.deepStrictEqual(grid.query(590, 490, 700, 530), [far]);
+  grid.remove(wide);
+  assert.deepStrictEqual(grid.query(0, 0, 300, 40), []);
+});
+
+test('LevelManager loads a pack and rejects invalid ones, keeping the current pack', () => {
+  const levels = new LevelManager(tinyPack());
+  assert.strictEqual(levels.maxLevel(), 1);
+  assert.strictEqual(levels.getLevel(1).name, 'Two rows');
+  assert.strictEqual(levels.getBricksForLevel(1).length, 8);
+
+  const bad = tinyPack();
+  bad.levels[0].layout = ['pppp', 'ppzp'];
+  assert.throws(() => levels.loadPack(bad), LevelFormatError);
+  assert.throws(() => levels.loadPack(Object.assign(tinyPack(), { format: 'x' })), LevelFormatError);
+  assert.throws(() => LevelManager.parse('{'), LevelFormatError);
+  assert.strictEqual(levels.pack.id, 'tiny');
+
+  assert.ok(new LevelManager().maxLevel() > 1); // the built-in campaign
+});
+
+test('levelCells resolves hp from cell overrides, then the hp grid, then the brick map', () => {
+  const level = {
+    grid: { rows: 1, cols: 4 },
+    bricks: { B: { color: '#33e0ff', hp: 3 } },
+    layout: ['pB.B'],
+    hp: ['2..9'],
+    cells: [{ row: 0, col: 3, hp: 12 }]
+  };
+  const cells = levelCells(level, tinyPack().bricks);
+  assert.deepStrictEqual(cells[0].map(c => c && c.hp), [2, 3, null, 12]);
+  assert.strictEqual(cells[0][1].color, '#33e0ff');
+});
+
+test('startLevel(level) test-plays a layout and repeats it when cleared', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 7, input });
+  assert.throws(() => game.startLevel({ grid: { rows: 1, cols: 2 }, layout: ['x'] }), LevelFormatError);
+  game.startLevel({ grid: { rows: 1, cols: 3 }, bricks: { p: { color: '#fff' } }, layout: ['ppp'] });
+  assert.strictEqual(game.bricksRemaining, 3);
+  for (let i = 0; i < 120 * 120 && game.state !== STATE.LEVEL_COMPLETE; i++) botStep(game, input);
+  assert.strictEqual(game.state, STATE.LEVEL_COMPLETE);
+  game.startLevel();
+  assert.strictEqual(game.currentLevel, 1);
+  assert.strictEqual(game.bricksRemaining, 3);
+});
+
+test('the editor writes hp over 9 and drop overrides as cells, and reads them back', () => {
+  global.window = { NeonEngine: require('../game2-engine.js') };
+  require('../game2-editor.js');
+  const { gridToLevel, levelToGrid } = global.window.NeonEditor;
+  delete global.window;
+  const level = {
+    grid: { rows: 1, cols: 3 },
+    bricks: { a: { color: '#ff0000' }, b: { color: '#00ff00', hp: 3, drops: { chance: 1 } } },
+    layout: ['ab.'],
+    cells: [{ row: 0, col: 0, hp: 12, drops: { chance: 0, table: { life: 1 } } }]
+  };
+  const out = gridToLevel(levelToGrid(level, {}), {});
+  validateLevel(out, 'level', {});
+  assert.deepStrictEqual(out.hp, ['.3.']);
+  assert.deepStrictEqual(levelCells(out, {}), levelCells(level, {}));
+});
+
+test('brick types: steel deflects, hidden reveals first, explosive takes its neighbours', () => {
+  const steel = new Brick(0, 0, 40, 20, '#888', 1, 'steel');
+  assert.strictEqual(steel.hit(), 'deflect');
+  assert.ok(steel.alive && !steel.breakable);
+  const hidden = new Brick(0, 0, 40, 20, '#fff', 1, 'hidden');
+  assert.deepStrictEqual([hidden.hit(), hidden.hit()], ['reveal', 'destroy']);
+
+  const game = new Game({ seed: 1, input: new NullInput() });
+  game.startLevel({
+    grid: { rows: 2, cols: 4 },
+    bricks: { p: { color: '#fff', hp: 3 }, e: { color: '#f80', type: 'explosive' }, s: { color: '#888', type: 'steel' } },
+    layout: ['pep.', 'spp.']
+  });
+  assert.strictEqual(game.bricksRemaining, 5); // steel never counts
+  game._damageBrick(game.bricks.find(b => b.type === 'explosive'));
+  assert.deepStrictEqual(game.bricks.map(b => [b.type, b.hp]), [['normal', 2], ['explosive', 0], ['normal', 2], ['steel', 1], ['normal', 2], ['normal', 2]]);
+});
+
+test('power-ups stack, refresh and cancel each other by their registry rules', () => {
+  const game = new Game({ seed: 1, input: new NullInput() });
+  game.startLevel();
+  game.applyPowerUp('speed');
+  game.applyPowerUp('speed');
+  game.applyPowerUp('speed'); // at most two stacks
+  assert.ok(Math.abs(game.ballSpeedScale - 1.18 * 1.18) < 1e-9);
+  game.applyPowerUp('slow');
+  assert.deepStrictEqual(game.effects.map(fx => fx.type), ['slow']);
+  assert.ok(Math.abs(game.ballSpeedScale - 0.7) < 1e-9);
+
+  game.applyPowerUp('paddle');
+  game.applyPowerUp('shrink');
+  assert.deepStrictEqual(game.effects.map(fx => fx.type), ['slow', 'shrink']);
+  assert.strictEqual(game.paddle.width, PADDLE_BASE_WIDTH * 0.65);
+
+  const lives = game.lives;
+  game.applyPowerUp('life');
+  assert.strictEqual(game.lives, lives + 1);
+});
+
+test('timed power-ups wear off, and catch lets go of its ball', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 1, input });
+  game.startLevel({ grid: { rows: 1, cols: 3 }, bricks: { s: { color: '#888', type: 'steel' }, p: { color: '#fff', hp: 9 } }, layout: ['sps'], drops: { chance: 0 } });
+  game.applyPowerUp('catch');
+  game.applyPowerUp('fireball');
+  assert.ok(game.paddle.sticky && game.fireball);
+  for (let i = 0; i < 120 * 16; i++) botStep(game, input);
+  assert.strictEqual(game.state, STATE.PLAYING);
+  assert.deepStrictEqual(game.effects, []);
+  assert.ok(!game.paddle.sticky && !game.fireball);
+  assert.ok(game.balls.every(ball => !ball.caught));
+});
+
+test('a ball caught part-way through a step stays on the paddle', () => {
+  const game = new Game({ seed: 3, input: new NullInput() });
+  game.startLevel();
+  game.applyPowerUp('catch');
+  const paddle = game.paddles[0];
+  const ball = game.balls[0];
+  ball.launch(Math.PI / 2); // straight down
+  // on the paddle's rounded corner, half-way through the step: stepping off that contact
+  // leaves the ball in the corner's square but clear of its circle, with no velocity left
+  ball.x = paddle.x - 3;
+  ball.y = paddle.y - Math.sqrt(BALL_RADIUS * BALL_RADIUS - 9) - ball.speed * FIXED_DT / 2;
+  game.step();
+  assert.ok(ball.stuck && ball.caught);
+  assert.ok(Number.isFinite(ball.x) && Number.isFinite(ball.y));
+  for (let i = 0; i < 60; i++) game.step();
+  assert.ok(Number.isFinite(ball.x) && Number.isFinite(ball.y));
+  assert.ok(ball.y < paddle.y);
+});
+
+test('the laser fires a pair of bolts per volley while launch is held', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 1, input });
+  game.startLevel({ grid: { rows: 1, cols: 8 }, bricks: { p: { color: '#fff' } }, layout: ['pppppppp'], drops: { chance: 0 } });
+  input.launch = true;
+  game.step(); // the launch releases the ball
+  game.applyPowerUp('laser');
+  input.launch = true;
+  game.step();
+  assert.strictEqual(game.projectiles.length, 2);
+  game.step(); // cooling down
+  assert.strictEqual(game.projectiles.length, 2);
+  for (let i = 0; i < 96; i++) {
+    input.launch = true;
+    game.step();
+  }
+  assert.ok(game.score > 0, 'bolts broke bricks before the ball got there');
+});
+
+test('a boss moves through its phases as its hp falls', () => {
+  const boss = new Boss({ name: 'Test', hp: 10 });
+  const phases = [];
+  for (let i = 0; i < 9; i++) {
+    assert.strictEqual(boss.hit(), 'damage');
+    phases.push(boss.phase);
+  }
+  assert.deepStrictEqual(phases, [0, 0, 0, 1, 1, 1, 2, 2, 2]);
+  assert.strictEqual(boss.hit(), 'destroy');
+  assert.ok(!boss.alive);
+});
+
+test('boss stages are slotted in every few levels and end with the boss', () => {
+  const pack = tinyPack();
+  pack.levels.push(pack.levels[0]);
+  pack.bosses = { every: 1, levels: [{ name: 'Guard', boss: { hp: 2 } }] };
+  const levels = new LevelManager(pack);
+  const names = [];
+  for (let n = 1; n <= levels.maxLevel(); n++) names.push(levels.getLevel(n).name);
+  assert.deepStrictEqual(names, ['Two rows', 'Guard', 'Two rows', 'Guard']);
+
+  const input = new NullInput();
+  const game = new Game({ seed: 7, levels: pack, level: 4, input });
+  assert.ok(game.boss && game.boss.alive);
+  for (let i = 0; i < 120 * 120 && game.state !== STATE.VICTORY && game.state !== STATE.GAME_OVER; i++) botStep(game, input);
+  assert.strictEqual(game.state, STATE.VICTORY);
+  assert.ok(!game.boss.alive);
+});
+
+test('an idle game loses its lives and ends', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 1, input });
+  game.startLevel();
+  for (let i = 0; i < 120 * 60 && game.state !== STATE.GAME_OVER; i++) {
+    if (game.state === STATE.READY) game.startLevel();
+    input.launch = true; // a launch press is used up by the serve
+    game.step();
+  }
+  assert.strictEqual(game.state, STATE.GAME_OVER);
+  assert.strictEqual(game.lives, 0);
+});
+
+test('update() moves a launched ball by its velocity', () => {
+  const game = new Game({ seed: 1, input: new NullInput() });
+  game.startLevel();
+  const ball = game.balls[0];
+  ball.launch(-Math.PI / 2);
+  const y = ball.y;
+  game.update(FIXED_DT);
+  assert.ok(Math.abs(ball.y - (y - ball.speed * FIXED_DT)) < 1e-6);
+});
+
+test('scripted input scores and the same seed replays the same run', () => {
+  const a = play({ seed: 7 }, 120 * 30);
+  assert.ok(a.score > 0);
+  const b = play({ seed: 7 }, 120 * 30);
+  assert.deepStrictEqual([b.tick, b.score, b.lives, b.state], [a.tick, a.score, a.lives, a.state]);
+  assert.strictEqual(a.bricksRemaining, a.bricks.filter(brick => brick.alive).length);
+});
+
+test('scripted input clears a custom pack, whose last level ends the run', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 7, levels: tinyPack(), input });
+  for (let i = 0; i < 120 * 120 && game.state !== STATE.VICTORY; i++) botStep(game, input);
+  assert.strictEqual(game.state, STATE.VICTORY);
+  assert.strictEqual(game.bricksRemaining, 0);
+  const { bonus } = game.scoring;
+  assert.strictEqual(bonus.lives, game.lives * 500);
+  assert.ok(game.score >= 800 + bonus.total);
+});
+
+test('the combo multiplier grows with destroyed bricks and resets on a paddle touch or a lost life', () => {
+  const scoring = new ScoreKeeper();
+  const brick = new Brick(0, 0, 40, 20, '#fff');
+  const gains = [];
+  for (let i = 0; i < 6; i++) gains.push(scoring.brickHit(BRICK_TYPES.normal, 'destroy', brick));
+  assert.deepStrictEqual(gains, [100, 100, 100, 100, 200, 200]);
+  assert.strictEqual(scoring.brickHit(BRICK_TYPES.normal, 'damage', brick), 200); // a hit alone keeps the combo
+  assert.strictEqual(scoring.paddleTouch(), true);
+  assert.strictEqual(scoring.multiplier, 1);
+  assert.strictEqual(scoring.paddleTouch(), false);
+  scoring.combo = 12;
+  scoring.lifeLost();
+  assert.deepStrictEqual([scoring.combo, scoring.missed], [0, true]);
+});
+
+test('a ball touching the paddle ends the combo', () => {
+  const game = new Game({ seed: 3, input: new NullInput() });
+  game.startLevel();
+  const ball = game.balls[0];
+  ball.launch(Math.PI / 2); // straight down onto the paddle
+  ball.y = game.paddle.y - BALL_RADIUS - 1;
+  game.scoring.combo = 7;
+  game.step();
+  assert.ok(ball.vy < 0);
+  assert.strictEqual(game.scoring.combo, 0);
+});
+
+test('level bonuses pay for time under par, lives left and no miss', () => {
+  const scoring = new ScoreKeeper();
+  scoring.score = 1000;
+  scoring.update(40.5);
+  assert.deepStrictEqual(scoring.levelBonus(60, 2), { time: 950, lives: 1000, noMiss: 2000, total: 3950 });
+  assert.strictEqual(scoring.score, 4950);
+  scoring.beginLevel();
+  scoring.lifeLost();
+  scoring.update(90);
+  assert.deepStrictEqual(scoring.levelBonus(60, 1), { time: 0, lives: 500, noMiss: 0, total: 500 });
+});
+
+test('a snapshot restores into a new game that plays on identically', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 5, input });
+  for (let i = 0; i < 120 * 20; i++) botStep(game, input);
+  game.dispatch('pause');
+  game.step();
+  const snap = JSON.parse(JSON.stringify(game.snapshot()));
+
+  const input2 = new NullInput();
+  const copy = new Game({ seed: 99, input: input2 });
+  copy.restoreSnapshot(snap);
+  assert.deepStrictEqual(copy.snapshot(), game.snapshot());
+
+  game.dispatch('pause');
+  copy.dispatch('pause');
+  for (let i = 0; i < 120 * 20; i++) {
+    botStep(game, input);
+    botStep(copy, input2);
+  }
+  assert.deepStrictEqual(copy.snapshot(), game.snapshot());
+});
+
+test('restoreSnapshot rejects a bad save and leaves the game as it was', () => {
+  const game = new Game({ seed: 5, input: new NullInput() });
+  game.startLevel();
+  const before = game.snapshot();
+  assert.throws(() => game.restoreSnapshot({ format: 'x' }), SaveFormatError);
+  assert.throws(() => game.restoreSnapshot(Object.assign({}, before, { currentLevel: 999 })), SaveFormatError);
+  // a malformed entry is caught up front, before anything (here the seed) changes
+  const bad = (key, index, entry) => {
+    const snap = JSON.parse(JSON.stringify(before));
+    snap.seed = 42;
+    snap[key][index] = entry;
+    return snap;
+  };
+  assert.throws(() => game.restoreSnapshot(bad('bricks', 0, null)), SaveFormatError);
+  assert.throws(() => game.restoreSnapshot(bad('bricks', 0, [true, 'x', 0, 0, true, 0])), SaveFormatError);
+  assert.throws(() => game.restoreSnapshot(bad('balls', 0, { x: 1 })), SaveFormatError);
+  assert.throws(() => game.restoreSnapshot(bad('paddles', 0, null)), SaveFormatError);
+  assert.throws(() => game.restoreSnapshot(bad('powerups', 0, null)), SaveFormatError);
+  assert.deepStrictEqual(game.snapshot(), before);
+
+  const alternate = new Game({ seed: 5, mode: 'alternate', input: new NullInput() });
+  const saved = alternate.snapshot();
+  saved.players[1].level = 999;
+  assert.throws(() => alternate.restoreSnapshot(saved), SaveFormatError);
+  saved.players[1].level = 1;
+  saved.players[1].field = { bricks: [null], boss: null };
+  assert.throws(() => alternate.restoreSnapshot(saved), SaveFormatError);
+});
+
+// record a scripted run from its first step
+function record(options, steps) {
+  const input = new NullInput();
+  const game = new Game(Object.assign({ input }, options));
+  const recorder = new ReplayRecorder(game);
+  for (let i = 0; i < steps && game.state !== STATE.GAME_OVER && game.state !== STATE.VICTORY; i++) botStep(game, input);
+  recorder.detach();
+  return { game, replay: decodeReplay(encodeReplay(recorder.toJSON())) };
+}
+
+test('a replay plays back to the recorded end', () => {
+  for (const options of [
+    { seed: 7 }, { seed: 11, levels: tinyPack() }, { seed: 3, mode: 'alternate' }, { seed: 5, mode: 'coop' }, { seed: 4, mode: 'endless' },
+    { seed: dailySeed('2026-10-03'), mode: 'daily' }, { seed: 8, mode: 'timeattack' }, { seed: 6, mode: 'survival' },
+    { seed: 9, assist: true }
+  ]) {
+    const { game, replay } = record(options, 120 * 30);
+    const player = new ReplayPlayer(replay);
+    while (player.stepOnce()) { /* play it all */ }
+    assert.ok(player.matchesFinal());
+    const g = player.game;
+    assert.deepStrictEqual([g.tick, g.score, g.lives, g.state], [game.tick, game.score, game.lives, game.state]);
+    assert.deepStrictEqual(g.balls.map(b => [b.x, b.y]), game.balls.map(b => [b.x, b.y]));
+  }
+});
+
+test('matchesFinal notices a playback that ends elsewhere', () => {
+  const { replay } = record({ seed: 11 }, 120 * 10);
+  replay.final.score += 10;
+  const player = new ReplayPlayer(replay);
+  while (player.stepOnce()) { /* play it all */ }
+  assert.ok(!player.matchesFinal());
+  assert.throws(() => decodeReplay('{"format":"neon-bricks-replay","version":99}'), ReplayFormatError);
+});
+
+test('a high-score table keeps the top scores, per mode and pack, across loads', () => {
+  const storage = memoryStorage();
+  const table = new HighScoreTable(storage, 'classic', 'builtin');
+  const entry = score => ({ name: 'AAA', score, level: 1, date: '2026-10-19', mode: 'classic' });
+  for (let i = 1; i <= MAX_SCORES; i++) table.add(entry(i * 100));
+  assert.ok(!table.qualifies(100));
+  assert.strictEqual(table.add(entry(550)), 5);
+  assert.strictEqual(table.add(entry(550)), 6); // a tie ranks below
+  assert.strictEqual(new HighScoreTable(storage, 'classic', 'builtin').entries[0].score, 1000);
+  assert.deepStrictEqual(new HighScoreTable(storage, 'classic', 'tiny').entries, []);
+  storage.setItem(table.key, '{');
+  assert.deepStrictEqual(new HighScoreTable(storage, 'classic', 'builtin').entries, []);
+});
+
+test('name entry cycles, types and confirms three initials', () => {
+  const name = new NameEntry();
+  name.handleKey('b'); // types into the first slot and moves on
+  name.handleKey('ArrowDown'); // A wraps round to the last character
+  name.handleKey('Enter');
+  assert.strictEqual(name.name, 'B.A');
+  assert.ok(!name.done);
+  name.handleKey('Enter');
+  assert.ok(name.done);
+  assert.ok(!name.handleKey('Shift'));
+});
+
+test('the particle pool recycles a fixed set of particles', () => {
+  const pool = new ParticlePool(4);
+  for (let i = 0; i < 4; i++) assert.ok(pool.spawn(0, 0, 10, 0, 2, '#fff', 0.5));
+  assert.strictEqual(pool.spawn(0, 0, 10, 0, 2, '#fff', 0.5), null);
+  pool.update(0.25);
+  assert.strictEqual(pool.live[0].x, 2.5);
+  pool.update(0.25);
+  assert.deepStrictEqual([pool.live.length, pool.free.length], [0, 4]);
+});
+
+test('effects follow game events without changing the run', () => {
+  const run = (intensity) => {
+    const input = new NullInput();
+    const game = new Game({ seed: 7, input });
+    const fx = intensity && new Effects(intensity);
+    if (fx) fx.attach(game);
+    let particles = 0;
+    for (let i = 0; i < 120 * 15; i++) {
+      botStep(game, input);
+      if (fx) {
+        fx.update(FIXED_DT);
+        particles = Math.max(particles, fx.pool.live.length);
+      }
+    }
+    return { particles, end: [game.tick, game.score, game.lives, game.rng.state] };
+  };
+  const plain = run(null);
+  const full = run('full');
+  const off = run('off');
+  assert.deepStrictEqual(full.end, plain.end);
+  assert.deepStrictEqual(off.end, plain.end);
+  assert.ok(full.particles > 0);
+  assert.strictEqual(off.particles, 0);
+});
+
+test('brickVersion changes only when a brick looks different', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 1, input });
+  game.startLevel({ grid: { rows: 1, cols: 3 }, bricks: { p: { color: '#fff', hp: 2 }, s: { color: '#888', type: 'steel' } }, layout: ['psp'] });
+  const version = game.brickVersion;
+  input.launch = true;
+  for (let i = 0; i < 60; i++) game.step(); // the ball is still on its way up
+  assert.strictEqual(game.brickVersion, version);
+  game._damageBrick(game.bricks[1]); // steel deflects: no change
+  assert.strictEqual(game.brickVersion, version);
+  game._damageBrick(game.bricks[0]);
+  assert.strictEqual(game.brickVersion, version + 1);
+});
+
+test('shapeAxis applies the deadzone and sensitivity and quantizes the stick', () => {
+  assert.strictEqual(shapeAxis(0.15, 0.2, 1), 0);
+  assert.strictEqual(shapeAxis(0.6, 0.2, 1), 0.5);
+  assert.strictEqual(shapeAxis(-0.6, 0.2, 2), -1);
+  assert.strictEqual(shapeAxis(0.3333, 0, 1), 0.33);
+});
+
+test('control bindings move a key between actions and persist', () => {
+  const storage = memoryStorage();
+  const bindings = new ControlBindings(storage);
+  assert.strictEqual(bindings.actionForKey('Space'), 'launch');
+  bindings.setKey('left', 1, 'Space');
+  assert.strictEqual(bindings.actionForKey('Space'), 'left');
+  assert.strictEqual(new ControlBindings(storage).actionForKey('Space'), 'left');
+  storage.setItem('neon-bricks.controls', '{"version":1,"deadzone":"x"}');
+  assert.strictEqual(new ControlBindings(storage).actionForKey('Space'), 'launch');
+
+  const pressed = { pressed: true }, released = { pressed: false };
+  const pad = { axes: [-0.6], buttons: [pressed, released, released, released, released, released, released, released, released, pressed] };
+  assert.deepStrictEqual(bindings.readGamepad(pad), { axis: -0.5, left: false, right: false, launch: true, pause: true, reset: false });
+});
+
+test('the analog axis steers the paddle', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 1, input });
+  game.startLevel();
+  const x = game.paddle.x;
+  input.axis = 0.5;
+  game.step();
+  const half = game.paddle.x - x;
+  input.axis = 1;
+  game.step();
+  assert.ok(half > 0);
+  assert.ok(Math.abs(game.paddle.x - x - 3 * half) < 1e-9);
+});
+
+test('suspend() pauses only a game in play, and a replay sees it', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 1, input });
+  const recorder = new ReplayRecorder(game);
+  game.suspend(); // not playing yet: nothing happens
+  assert.strictEqual(game.tick, 0);
+  botStep(game, input);
+  game.suspend();
+  assert.strictEqual(game.state, STATE.PAUSED);
+  game.suspend();
+  assert.strictEqual(game.state, STATE.PAUSED); // unlike 'pause', it never resumes
+  const player = new ReplayPlayer(recorder.toJSON());
+  while (player.stepOnce()) { /* play it all */ }
+  assert.strictEqual(player.game.state, STATE.PAUSED);
+});
+
+test('the mouse mode is saved with the bindings', () => {
+  const storage = memoryStorage();
+  const bindings = new ControlBindings(storage);
+  assert.strictEqual(bindings.controls.pointer, 'drag');
+  bindings.setPointer('lock', 9);
+  const loaded = new ControlBindings(storage).controls;
+  assert.deepStrictEqual([loaded.pointer, loaded.pointerSensitivity], ['lock', 4]);
+  bindings.setPointer('sideways', 1);
+  assert.strictEqual(bindings.controls.pointer, 'lock');
+  assert.strictEqual(bindings.actionForKey('Escape'), 'pause');
+});
+
+test('alternate mode passes the turn on a lost life, each player keeping their own run', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 2, mode: 'alternate', input });
+  while (game.turn === 0) {
+    input.launch = true; // idle: the ball is lost
+    if (game.state === STATE.READY) game.dispatch('start');
+    game.step();
+  }
+  assert.strictEqual(game.state, STATE.READY);
+  assert.deepStrictEqual(game.playerStats().map(p => [p.lives, p.active, p.score]), [[2, false, game.players[0].scoring.score], [3, true, 0]]);
+  const first = game.playerStats()[0].score;
+  for (let i = 0; i < 120 * 20 && game.turn === 1; i++) botStep(game, input);
+  assert.strictEqual(game.turn, 1);
+  assert.ok(game.playerStats()[1].score > 0);
+  assert.strictEqual(game.playerStats()[0].score, first);
+});
+
+test('alternate players start with the stages\' lives', () => {
+  // two players over the daily stages of a day with the one-life modifier
+  const seed = dailySeed('2026-10-01');
+  assert.ok(dailyModifiers(seed).includes('oneLife'));
+  MODE_RULES.alternate.stages = s => new DailyLevels(s);
+  try {
+    const game = new Game({ seed, mode: 'alternate', input: new NullInput() });
+    assert.strictEqual(game.lives, 1);
+    assert.deepStrictEqual(game.players.map(p => p.lives), [1, 1]);
+    game.resetGame(seed);
+    assert.deepStrictEqual(game.players.map(p => p.lives), [1, 1]);
+  } finally {
+    delete MODE_RULES.alternate.stages;
+  }
+  const game = new Game({ seed: 1, mode: 'alternate', input: new NullInput() });
+  assert.deepStrictEqual(game.players.map(p => p.lives), [3, 3]);
+});
+
+test('co-op gives each player a paddle on their half, steered by their own input', () => {
+  const input = new NullInput();
+  const input2 = new NullInput();
+  const game = new Game({ seed: 2, mode: 'coop', input, input2 });
+  game.startLevel();
+  assert.strictEqual(game.paddles.length, 2);
+  assert.strictEqual(game.balls.length, 2);
+  input.pointerDown = input2.pointerDown = true;
+  input.pointerX = WIDTH; // both try for the right wall
+  input2.pointerX = WIDTH;
+  for (let i = 0; i < 120; i++) game.step();
+  const [one, two] = game.paddles;
+  assert.ok(one.x + one.width <= WIDTH / 2 + 1e-9);
+  assert.ok(two.x + two.width > WIDTH - 20);
+  input2.launch = true;
+  game.step();
+  assert.deepStrictEqual(game.balls.map(b => b.stuck), [true, false]);
+});
+
+test('co-op players get control profiles of their own', () => {
+  const storage = memoryStorage();
+  const one = new ControlBindings(storage, 'coop1');
+  const two = new ControlBindings(storage, 'coop2');
+  assert.strictEqual(one.actionForKey('KeyA'), 'left');
+  assert.strictEqual(two.actionForKey('ArrowLeft'), 'left');
+  assert.strictEqual(two.actionForKey('KeyA'), null);
+  two.setKey('launch', 1, 'Enter');
+  assert.strictEqual(new ControlBindings(storage, 'coop2').actionForKey('Enter'), 'launch');
+  assert.strictEqual(new ControlBindings(storage).actionForKey('Enter'), null);
+  assert.throws(() => new ControlBindings(storage, 'coop3'), RangeError);
+});
+
+test('endless stages come from the seed, are mirrored and can be cleared', () => {
+  for (const depth of [1, 5, 12]) {
+    const level = generateLevel(1234, depth);
+    assert.deepStrictEqual(generateLevel(1234, depth), level);
+    assert.ok(isLevelClearable(level));
+    for (const row of level.layout) assert.strictEqual(row, row.split('').reverse().join(''));
+  }
+  assert.notDeepStrictEqual(generateLevel(1235, 1).layout, generateLevel(1234, 1).layout);
+  const walled = { grid: { rows: 3, cols: 3 }, bricks: { s: { color: '#888', type: 'steel' }, p: { color: '#fff' } }, layout: ['sss', 'sps', 'sss'] };
+  assert.ok(!isLevelClearable(walled));
+  walled.layout[0] = 's.s';
+  assert.ok(isLevelClearable(walled));
+});
+
+test('an endless game plays the seed\'s stages', () => {
+  const game = new Game({ seed: 1234, mode: 'endless', input: new NullInput() });
+  assert.strictEqual(game.stages.maxLevel(), Infinity); // no last stage
+  const expected = generateLevel(1234, 1);
+  assert.strictEqual(game.bricks.length, expected.layout.join('').replace(/\./g, '').length);
+});
+
+test('a daily challenge is the day\'s seeded stages under its two modifiers', () => {
+  const seed = dailySeed('2026-10-01');
+  assert.strictEqual(dailySeed('2026-10-01'), seed);
+  assert.deepStrictEqual(dailyModifiers(seed), ['oneLife', 'noPaddlePowerUps']);
+  const game = new Game({ seed, mode: 'daily', input: new NullInput() });
+  assert.strictEqual(game.lives, 1);
+  assert.strictEqual(game.stages.maxLevel(), DAILY_STAGES);
+  assert.ok(!('paddle' in game.levelInfo.drops.table));
+
+  const fast = new Game({ seed: dailySeed('2026-10-03'), mode: 'daily', input: new NullInput() });
+  assert.deepStrictEqual(fast.stages.modifiers, ['drought', 'doubleSpeed']);
+  assert.strictEqual(fast.levelInfo.ballSpeed, Math.min(900, 2 * generateLevel(fast.seed, 1).ballSpeed));
+  assert.strictEqual(fast.lives, 3);
+});
+
+test('the daily history keeps each day\'s best run and counts the attempts', () => {
+  const storage = memoryStorage();
+  const history = new DailyHistory(storage);
+  const run = (day, score, time) => ({ day, score, cleared: 2, time, complete: false });
+  assert.ok(history.record(run('2026-10-01', 1000, 80)));
+  assert.ok(!history.record(run('2026-10-01', 900, 50)));
+  assert.ok(history.record(run('2026-10-01', 1000, 70))); // a tie goes to the faster run
+  assert.ok(history.record(run('2026-10-02', 10, 10)));
+  const reloaded = new DailyHistory(storage);
+  assert.deepStrictEqual(reloaded.entries.map(e => [e.day, e.score, e.time, e.attempts]), [['2026-10-02', 10, 10, 1], ['2026-10-01', 1000, 70, 3]]);
+  storage.setItem('neon-bricks.daily', 'nope');
+  assert.deepStrictEqual(new DailyHistory(storage).entries, []);
+
+  const text = shareText(history.result(history.get('2026-10-01')));
+  assert.deepStrictEqual(text.split('\n').slice(0, 3), ['Neon Bricks Daily 2026-10-01', 'One life · No paddle power-ups', '🟩🟩🟥⬛⬛ 2/5']);
+});
+
+test('the daily history keeps assisted runs apart from the others', () => {
+  const storage = memoryStorage();
+  const history = new DailyHistory(storage);
+  const run = (score, assist) => ({ day: '2026-10-19', score, cleared: 2, time: 80, complete: false, assist });
+  assert.ok(history.record(run(1000, false)));
+  assert.ok(history.record(run(5000, true)));
+  assert.ok(!history.record(run(4000, true)));
+  assert.strictEqual(history.get('2026-10-19').score, 1000);
+  assert.deepStrictEqual([history.get('2026-10-19', true).score, history.get('2026-10-19', true).attempts], [5000, 2]);
+  assert.strictEqual(history.result(history.get('2026-10-19', true)).assist, true);
+
+  const reloaded = new DailyHistory(storage);
+  assert.deepStrictEqual(reloaded.entries.map(e => [e.score, e.assist]), [[1000, false], [5000, true]]);
+
+  // entries saved before assist mode count as unassisted; the history keeps MAX_DAYS days
+  const old = [];
+  for (let d = 1; d <= MAX_DAYS + 1; d++) {
+    old.push({ day: localDate(new Date(2026, 0, d)), score: d, cleared: 1, time: 60, complete: false, attempts: 1 });
+  }
+  storage.setItem('neon-bricks.daily', JSON.stringify({ version: 1, entries: old }));
+  const legacy = new DailyHistory(storage);
+  assert.strictEqual(legacy.entries.length, MAX_DAYS);
+  assert.strictEqual(legacy.get(old[5].day).score, 6);
+  assert.strictEqual(legacy.get(old[5].day, true), null);
+});
+
+test('dayOfSeed accepts today\'s and yesterday\'s challenges only', () => {
+  const now = new Date(2026, 9, 19, 0, 30);
+  assert.strictEqual(dayOfSeed(dailySeed('2026-10-19'), now), '2026-10-19');
+  assert.strictEqual(dayOfSeed(dailySeed('2026-10-18'), now), '2026-10-18');
+  assert.strictEqual(dayOfSeed(dailySeed('2026-10-17'), now), null);
+  assert.strictEqual(localDate(now), '2026-10-19');
+});
+
+test('time attack runs down a clock that destroyed bricks wind back', () => {
+  const input = new NullInput();
+  const game = new Game({ seed: 8, mode: 'timeattack', input });
+  assert.strictEqual(game.modeState.timeLeft, TIME_ATTACK_START);
+  botStep(game, input);
+  const brick = game.bricks.find(b => b.alive && b.hp === 1 && b.type === 'normal');
+  const before = game.modeState.timeLeft;
+  game._damageBrick(brick);
+  assert.strictEqual(game.modeState.timeLeft, before + 1);
+
+  game.modeState.timeLeft = 0.5;
+  for (let i = 0; i < 120 && game.state === STATE.PLAYING; i++) game.step();
+  assert.strictEqual(game.state, STATE.GAME_OVER);
+  assert.strictEqual(game.modeState.timeLeft, 0);
+});
+
+test('survival brings the field down a row at a time until it reaches the paddle', () => {
+  const game = new Game({ seed: 6, mode: 'survival', input: new NullInput() });
+  game.startLevel();
+  const rows = () => new Set(game.bricks.filter(b => b.alive).map(b => b.y)).size;
+  assert.strictEqual(rows(), SURVIVAL_START_ROWS);
+  const top = Math.min(...game.bricks.map(b => b.y));
+  for (let i = 0; i < 120 * 8; i++) game.step();
+  assert.strictEqual(game.modeState.descents, 1);
+  assert.strictEqual(Math.min(...game.bricks.map(b => b.y)), top); // a new row at the top
+  game.balls.forEach(ball => { ball.stuck = true; }); // keep the ball out of the way
+  for (let i = 0; i < 120 * 600 && game.state === STATE.PLAYING; i++) game.step();
+  assert.strictEqual(game.state, STATE.GAME_OVER);
+  assert.ok(game.bricks.some(b => b.alive && b.y + b.h >= PADDLE_Y));
+});
+
+// a stand-in AudioContext whose clock the test moves; it notes the start time of every
+// source (oscillator or noise burst) booked on it
+function fakeAudioContext() {
+  const param = () => ({
+    value: 0, setValueAtTime() { }, setTargetAtTime() { }, cancelScheduledValues() { },
+    linearRampToValueAtTime() { }, exponentialRampToValueAtTime() { }
+  });
+  const node = extra => Object.assign({ connect: target => target, disconnect() { } }, extra);
+  const starts = [];
+  const source = () => node({ frequency: param(), start: t => starts.push(t), stop() { } });
+  return {
+    currentTime: 0, sampleRate: 8000, destination: node(), starts,
+    createOscillator: source,
+    createBufferSource: source,
+    createGain: () => node({ gain: param() }),
+    createBiquadFilter: () => node({ frequency: param() }),
+    createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) })
+  };
+}
+
+test('notes, brick pitches and tracks', () => {
+  assert.strictEqual(noteFrequency('A4'), 440);
+  assert.ok(Math.abs(noteFrequency('C5') - 523.25) < 0.01);
+  assert.strictEqual(noteFrequency('.'), null);
+  assert.strictEqual(brickPitch(420, 0, 1), 420);
+  assert.ok(brickPitch(420, 2, 1) < brickPitch(420, 1, 1));
+  assert.ok(brickPitch(420, 0, 3) > brickPitch(420, 0, 2));
+  assert.strictEqual(trackFor({ boss: null, currentLevel: 1 }), 'neonDrive');
+  assert.strictEqual(trackFor({ boss: null, currentLevel: 4 }), 'gridRunner');
+  assert.strictEqual(trackFor({ boss: null, currentLevel: 10 }), 'neonDrive');
+  assert.strictEqual(trackFor({ boss: {}, currentLevel: 4 }), 'coreBreach');
+});
+
+test('audio settings persist, clamp and survive a corrupt entry', () => {
+  const storage = memoryStorage();
+  assert.deepStrictEqual(new AudioSettings(storage).settings, DEFAULT_AUDIO);
+  storage.setItem(AUDIO_KEY, '{not json');
+  assert.deepStrictEqual(new AudioSettings(storage).settings, DEFAULT_AUDIO);
+  storage.setItem(AUDIO_KEY, JSON.stringify({ version: 1, music: 3, sfx: 0.25, muted: true }));
+  assert.deepStrictEqual(new AudioSettings(storage).settings, { music: 1, sfx: 0.25, muted: true });
+
+  const engine = new AudioEngine(null, new AudioSettings(storage));
+  engine.setVolume('music', -1);
+  engine.setMuted(false);
+  assert.deepStrictEqual(new AudioSettings(storage).settings, { music: 0, sfx: 0.25, muted: false });
+});
+
+test('the sequencer books steps at exact audio times however late the timer wakes', () => {
+  const ctx = fakeAudioContext();
+  const sequencer = new Sequencer(ctx, ctx.destination, ctx.createBuffer(1, 16));
+  sequencer.play('neonDrive');
+  try {
+    const length = sequencer.stepLength;
+    ctx.currentTime = 2.013; // a late, uneven wake-up
+    sequencer._schedule();
+    const steps = sequencer.step;
+    assert.strictEqual(sequencer.nextTime >= ctx.currentTime + 0.12 - 1e-9, true); // booked up to the lookahead
+    assert.ok(Math.abs(sequencer.nextTime - (0.05 + steps * length)) < 1e-9); // on the beat, no drift
+    for (const t of ctx.starts) {
+      const step = (t - 0.05) / length;
+      assert.ok(Math.abs(step - Math.round(step)) < 1e-6);
+    }
+  } finally {
+    sequencer.stop();
+  }
+  assert.strictEqual(sequencer.playing, false);
+  const booked = ctx.starts.length;
+  ctx.currentTime = 4;
+  sequencer._schedule();
+  assert.strictEqual(ctx.starts.length, booked);
+});
+
+test('the music stops on pause, picks up after it and stops with the game off screen', () => {
+  const ctx = fakeAudioContext();
+  const audio = new AudioEngine(ctx, new AudioSettings(null));
+  const game = new Game({ seed: 7, input: new NullInput() });
+  try {
+    audio.update(game);
+    assert.strictEqual(audio.sequencer.playing, true);
+    assert.strictEqual(audio.sequencer.track.id, 'neonDrive');
+    game.startLevel();
+    game.dispatch('pause');
+    game.step();
+    audio.update(game);
+    ctx.currentTime = 1;
+    audio.sequencer._schedule();
+    assert.strictEqual(audio.sequencer.playing, false);
+    game.dispatch('pause');
+    game.step();
+    audio.update(game);
+    assert.strictEqual(audio.sequencer.playing, true);
+    audio.update(null);
+    assert.strictEqual(audio.sequencer.playing, false);
+  } finally {
+    audio.sequencer.stop();
+  }
+});
+
+test('assist mode slows the ball and widens the paddle, power-ups included', () => {
+  const game = new Game({ seed: 5, input: new NullInput(), assist: true });
+  assert.strictEqual(game.ballSpeedScale, 0.75);
+  assert.strictEqual(game.paddles[0].width, PADDLE_BASE_WIDTH * 1.4);
+  game.startLevel();
+  game.applyPowerUp('paddle');
+  assert.strictEqual(game.paddles[0].width, PADDLE_BASE_WIDTH * 1.4 * 1.6);
+  game.applyPowerUp('slow');
+  assert.ok(Math.abs(game.ballSpeedScale - 0.75 * 0.7) < 1e-12);
+
+  game.setAssist(false);
+  assert.strictEqual(game.ballSpeedScale, 1);
+  assert.strictEqual(game.paddles[0].width, PADDLE_BASE_WIDTH);
+
+  const assisted = new Game({ seed: 5, input: new NullInput(), assist: true });
+  const copy = new Game({ seed: 5, input: new NullInput() });
+  copy.restoreSnapshot(JSON.parse(JSON.stringify(assisted.snapshot())));
+  assert.strictEqual(copy.assist, true);
+  assert.strictEqual(copy.paddles[0].width, PADDLE_BASE_WIDTH * 1.4);
+
+  const result = { day: '2026-10-01', score: 10, cleared: 0, time: 5, complete: false, modifiers: ['drought'], assist: true };
+  assert.strictEqual(shareText(result).split('\n')[1], 'Drought · Assist');
+});
+
+test('colour-blind palettes colour bricks by hp and mark it', () => {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+    set: (target, name, value) => { target[name] = value; if (name === 'fillStyle') calls.push(['fillStyle', value]); return true; }
+  });
+  const brick = new Brick(10, 20, 60, 20, '#ff00ff', 3);
+  brick.draw(ctx, BRICK_PALETTES.numbers);
+  const fills = () => calls.filter(c => c[0] === 'fillStyle').map(c => c[1]);
+  assert.ok(fills().includes(BRICK_PALETTES.numbers.colors[2]));
+  assert.ok(calls.some(c => c[0] === 'fillText' && c[1] === '3'));
+
+  calls.length = 0;
+  brick.draw(ctx, BRICK_PALETTES.patterns);
+  assert.strictEqual(calls.filter(c => c[0] === 'lineTo').length, 2); // a stripe per hp beyond the first
+  calls.length = 0;
+  brick.draw(ctx, BRICK_PALETTES.neon);
+  assert.ok(fills().includes('#ff00ff') && !fills().includes(BRICK_PALETTES.numbers.colors[2]));
+  assert.ok(!calls.some(c => c[0] === 'fillText'));
+});
+
+test('a glow of 0 draws without any neon blur', () => {
+  const blurs = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : () => { }),
+    set: (target, name, value) => { target[name] = value; if (name === 'shadowBlur') blurs.push(value); return true; }
+  });
+  const game = new Game({ seed: 5, input: new NullInput() });
+  const draw = glow => {
+    blurs.length = 0;
+    game.bricks[0].draw(ctx, null, glow);
+    game.paddles[0].draw(ctx, glow);
+    game.balls[0].draw(ctx, true, glow);
+    new Boss({ name: 'Test', hp: 10 }).draw(ctx, glow);
+    return blurs.slice();
+  };
+  assert.ok(draw(1).some(blur => blur > 0));
+  assert.deepStrictEqual(draw(0).filter(blur => blur !== 0), []);
+});